@@ -0,0 +1,81 @@
+// File: adminOperations.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdminService } = require('./src/services/adminOperations');
+const { createAuditLog } = require('./src/storage/auditLog');
+const { createFakeChain, BACKEND_ADDRESS, NETWORK_FEES } = require('./fakeChain');
+
+const requester = { type: 'admin-token', name: 'ops' };
+
+describe('Admin operations', () => {
+  let chain;
+  let dir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    chain = createFakeChain();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-operations-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A new service over the same log stands in for a restarted process. The
+  // fake's owner functions mine at once, so pause() is sent to the mempool instead.
+  const createService = () => createAdminService({
+    swapperContract: {
+      ...chain.swapper,
+      pause: () => chain.signer.sendTransaction({ to: BACKEND_ADDRESS, value: 0n, ...NETWORK_FEES })
+    },
+    ownerSigner: chain.signer,
+    provider: chain.provider,
+    auditLog: createAuditLog(path.join(dir, 'admin-audit.log'))
+  });
+  const statuses = (operations) => operations.audit().map((entry) => [entry.action, entry.status]);
+
+  test('logs the outcome of an operation mined right away', async () => {
+    const operations = createService();
+    const submitted = await operations.execute('setFee', { feeNumerator: 10 }, requester);
+    await operations.poll();
+    expect(operations.audit()[0]).toMatchObject({ id: submitted.id, status: 'mined', blockNumber: 101, transactionHash: submitted.transactionHash });
+  });
+
+  test('resolves an operation left pending when the process stopped', async () => {
+    const operations = createService();
+    const submitted = await operations.execute('pause', {}, requester);
+    await operations.poll();
+    expect(statuses(operations)).toEqual([['pause', 'submitted']]);
+
+    // Mined while the process was down
+    chain.mine();
+    const restarted = createService();
+    await restarted.resume();
+    expect(statuses(restarted)).toEqual([['pause', 'mined'], ['pause', 'submitted']]);
+    expect(restarted.audit()[0]).toMatchObject({ id: submitted.id, transactionHash: submitted.transactionHash, blockNumber: 101 });
+
+    // Already resolved: a second restart logs nothing more
+    const again = createService();
+    await again.resume();
+    expect(statuses(again)).toHaveLength(2);
+  });
+
+  test('logs an operation whose nonce was taken by another transaction as replaced', async () => {
+    const operations = createService();
+    await operations.execute('pause', {}, requester);
+    // Sent at the same nonce with higher fees by something other than the admin service
+    await chain.signer.sendTransaction({
+      to: BACKEND_ADDRESS,
+      nonce: 0,
+      value: 0n,
+      maxFeePerGas: NETWORK_FEES.maxFeePerGas * 2n,
+      maxPriorityFeePerGas: NETWORK_FEES.maxPriorityFeePerGas * 2n
+    });
+    chain.mine();
+    await operations.poll();
+    expect(operations.audit()[0]).toMatchObject({ status: 'replaced', error: 'Nonce 0 was used by another transaction' });
+  });
+});
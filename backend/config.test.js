@@ -0,0 +1,94 @@
+// File: config.test.js
+
+const { loadConfig, assertChainId, ConfigError } = require('./src/config');
+const { parseBroadcast } = require('./src/services/deployments');
+
+const PRIVATE_KEY = `0x${'1'.repeat(64)}`;
+const SIWE_DOMAIN = 'swap.example';
+
+describe('Configuration', () => {
+  test('sepolia profile supplies the Swapper deployment', () => {
+    const config = loadConfig({ RPC_URL: 'https://rpc.sepolia.org', BACKEND_WALLET_PRIVATE_KEY: PRIVATE_KEY, SIWE_DOMAIN });
+    expect(config).toMatchObject({
+      network: 'sepolia',
+      chainId: 11155111,
+      swapperAddress: '0xe4f50A80A19a36077FDDA1Ce1bAAC9A208FAb97d',
+      deploymentBlock: 6749320,
+      port: 3000
+    });
+  });
+
+  test('env vars override the profile', () => {
+    const config = loadConfig({
+      NETWORK: 'anvil',
+      SWAPPER_ADDRESS: '0x5fbdb2315678afecb367f032d93f642f64180aa3',
+      SWAPPER_DEPLOYMENT_BLOCK: '12',
+      BACKEND_WALLET_PRIVATE_KEY: PRIVATE_KEY,
+      SIWE_DOMAIN
+    });
+    expect(config.rpcUrl).toBe('http://127.0.0.1:8545');
+    expect(config.swapperAddress).toBe('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+    expect(config.deploymentBlock).toBe(12);
+  });
+
+  test('reports every missing or invalid key at once', () => {
+    expect(() => loadConfig({ NETWORK: 'anvil', PORT: 'http' })).toThrow(ConfigError);
+    try {
+      loadConfig({ NETWORK: 'anvil', PORT: 'http' });
+    } catch (error) {
+      expect(error.problems).toEqual([
+        'SWAPPER_ADDRESS is required for the anvil network (no Swapper broadcast for chainId 31337)',
+        'BACKEND_WALLET_PRIVATE_KEY is required',
+        'SIWE_DOMAIN is required',
+        'PORT must be an integer between 0 and 65535'
+      ]);
+    }
+  });
+
+  test('parses named admin tokens and rejects short ones', () => {
+    const token = 't'.repeat(32);
+    const env = { RPC_URL: 'https://rpc.sepolia.org', BACKEND_WALLET_PRIVATE_KEY: PRIVATE_KEY, SIWE_DOMAIN };
+    expect(loadConfig({ ...env, ADMIN_TOKENS: `ops:${token}, ci:${token}x` }).adminTokens).toEqual([
+      { name: 'ops', token },
+      { name: 'ci', token: `${token}x` }
+    ]);
+    expect(() => loadConfig({ ...env, ADMIN_TOKENS: 'ops:short,nameless' })).toThrow(
+      /ADMIN_TOKENS token "ops" must be at least 32 characters\n  - ADMIN_TOKENS entry 2 must be name:token/
+    );
+  });
+
+  test('parses TRUST_PROXY into an Express trust proxy setting', () => {
+    const env = { RPC_URL: 'https://rpc.sepolia.org', BACKEND_WALLET_PRIVATE_KEY: PRIVATE_KEY, SIWE_DOMAIN };
+    expect(loadConfig(env).trustProxy).toBe(false);
+    expect(loadConfig({ ...env, TRUST_PROXY: 'true' }).trustProxy).toBe(true);
+    expect(loadConfig({ ...env, TRUST_PROXY: '2' }).trustProxy).toBe(2);
+    expect(loadConfig({ ...env, TRUST_PROXY: 'loopback, 10.0.0.0/8' }).trustProxy).toBe('loopback, 10.0.0.0/8');
+  });
+
+  test('refuses an RPC endpoint on another chain', async () => {
+    const provider = { getNetwork: async () => ({ chainId: 1n }) };
+    await expect(assertChainId(provider, { network: 'sepolia', chainId: 11155111 })).rejects.toThrow(/expects 11155111/);
+  });
+
+  test('ignores broadcasts whose Swapper deployment never confirmed', () => {
+    const run = {
+      transactions: [{
+        hash: '0xabc',
+        transactionType: 'CREATE',
+        contractName: 'Swapper',
+        contractAddress: '0x5fbdb2315678afecb367f032d93f642f64180aa3',
+        arguments: ['0x8361B8Cfe378F2f120B3aA375361883213F7Fea9'],
+        transaction: { from: '0x8361B8Cfe378F2f120B3aA375361883213F7Fea9' }
+      }],
+      receipts: []
+    };
+    expect(parseBroadcast(run, 31337)).toBeNull();
+
+    run.receipts.push({ transactionHash: '0xabc', status: '0x1', blockNumber: '0x2', blockHash: '0xdef' });
+    expect(parseBroadcast(run, 31337)).toMatchObject({
+      address: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+      blockNumber: 2,
+      owner: '0x8361B8Cfe378F2f120B3aA375361883213F7Fea9'
+    });
+  });
+});
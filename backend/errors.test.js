@@ -0,0 +1,37 @@
+// File: errors.test.js
+
+const { ethers } = require('ethers');
+const { toApiError, revertReasonOf } = require('./src/errors');
+const { swapperInterface } = require('./src/contracts/swapper');
+
+const revertError = (data) => ({ code: 'CALL_EXCEPTION', data });
+
+describe('Error layer', () => {
+  test('decodes Swapper custom errors', () => {
+    const error = toApiError(revertError(swapperInterface.encodeErrorResult('SlippageExceeded', [])));
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('SLIPPAGE_EXCEEDED');
+    expect(error.details).toEqual({ revert: 'SlippageExceeded', args: [] });
+  });
+
+  test('decodes require() reasons', () => {
+    const data = swapperInterface.encodeErrorResult('Error', ['Fee too high']);
+    const error = toApiError(revertError(data));
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('FEE_TOO_HIGH');
+    expect(revertReasonOf(revertError(data))).toBe('Fee too high');
+  });
+
+  test('maps provider failures to 502/503', () => {
+    const networkError = ethers.makeError('could not connect', 'NETWORK_ERROR');
+    const serverError = ethers.makeError('bad gateway', 'SERVER_ERROR');
+    expect(toApiError(networkError).status).toBe(503);
+    expect(toApiError(serverError).status).toBe(502);
+  });
+
+  test('falls back to 500 for unknown errors', () => {
+    const error = toApiError(new Error('boom'));
+    expect(error.status).toBe(500);
+    expect(error.code).toBe('INTERNAL_ERROR');
+  });
+});
@@ -0,0 +1,165 @@
+// File: eventIndexer.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEventIndexer } = require('./src/services/eventIndexer');
+const { createJsonStore } = require('./src/storage/jsonStore');
+const { createJournalStore } = require('./src/storage/journalStore');
+const { createFakeChain, SWAPPER_ADDRESS, BACKEND_ADDRESS, TOKENS } = require('./fakeChain');
+
+const { WETH, USDC } = TOKENS;
+
+describe('Event indexer', () => {
+  let chain;
+  let dir;
+
+  beforeEach(() => {
+    chain = createFakeChain();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createIndexer = (options = {}) => createEventIndexer({
+    provider: chain.provider,
+    store: createJournalStore(path.join(dir, 'events.json')),
+    checkpoints: createJsonStore(path.join(dir, 'indexer-state.json')),
+    address: SWAPPER_ADDRESS,
+    fromBlock: 100,
+    batchSize: 2,
+    ...options
+  });
+
+  test('backfills decoded events from the deployment block', async () => {
+    chain.emit('SupportedTokenAdded', [WETH.address]);
+    chain.emit('LiquidityAdded', [WETH.address, 10n ** 18n]);
+    await chain.swapper.swap(WETH.address, USDC.address, 10n ** 18n, 0n);
+    chain.emit('Paused', [BACKEND_ADDRESS]);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const events = indexer.events();
+    expect(events.map((event) => event.event)).toEqual(['SupportedTokenAdded', 'LiquidityAdded', 'TokenSwap', 'Paused']);
+    expect(events[1]).toMatchObject({
+      args: { token: WETH.address, amount: '1000000000000000000' },
+      blockNumber: 102,
+      logIndex: 0
+    });
+    expect(events[2].args.amountOut).toBe('2961474103');
+    expect(indexer.status()).toMatchObject({ fromBlock: 100, lastIndexedBlock: 104, headBlock: 104 });
+  });
+
+  test('restarts from its checkpoint', async () => {
+    chain.emit('FeeUpdated', [5n]);
+    await createIndexer().sync();
+
+    chain.emit('Unpaused', [BACKEND_ADDRESS]);
+    const getLogs = jest.spyOn(chain.provider, 'getLogs');
+    const restarted = createIndexer();
+    await restarted.sync();
+
+    expect(getLogs).toHaveBeenCalledTimes(1);
+    expect(getLogs.mock.calls[0][0]).toMatchObject({ fromBlock: 102, toBlock: 102 });
+    expect(restarted.events().map((event) => event.event)).toEqual(['FeeUpdated', 'Unpaused']);
+  });
+
+  test('rolls back events from replaced blocks and re-indexes the new fork', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    chain.emit('FeeUpdated', [5n]);
+    chain.emit('LiquidityAdded', [WETH.address, 1n]);
+    chain.emit('Paused', [BACKEND_ADDRESS]);
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    chain.reorg(2);
+    chain.emit('Unpaused', [BACKEND_ADDRESS]);
+    await indexer.sync();
+
+    expect(indexer.events().map((event) => [event.event, event.blockNumber])).toEqual([['FeeUpdated', 101], ['Unpaused', 104]]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/rolled back 2 events to block 101/));
+  });
+
+  test('appends batches and rollbacks to the event journal and replays it on restart', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    chain.emit('FeeUpdated', [5n]);
+    chain.emit('LiquidityAdded', [WETH.address, 1n]);
+    chain.emit('Paused', [BACKEND_ADDRESS]);
+    const indexer = createIndexer();
+    await indexer.sync();
+    chain.reorg(2);
+    chain.emit('Unpaused', [BACKEND_ADDRESS]);
+    await indexer.sync();
+
+    const changes = fs.readFileSync(path.join(dir, 'events.json'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(changes.map((change) => Object.keys(change)[0])).toEqual(['set', 'set', 'delete', 'set']);
+    expect(changes[2].delete).toEqual(['102-0', '103-0']);
+    expect(createIndexer().events()).toEqual(indexer.events());
+  });
+
+  test('reads an event file written by the JSON store', async () => {
+    chain.emit('FeeUpdated', [5n]);
+    chain.emit('Paused', [BACKEND_ADDRESS]);
+    const indexer = createIndexer({ store: createJsonStore(path.join(dir, 'events.json')) });
+    await indexer.sync();
+
+    expect(createIndexer().events()).toEqual(indexer.events());
+    expect(fs.readFileSync(path.join(dir, 'events.json'), 'utf8').trim().split('\n')).toHaveLength(2);
+  });
+
+  test('detects a reorg that keeps the same height', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    chain.emit('FeeUpdated', [5n]);
+    chain.emit('Paused', [BACKEND_ADDRESS]);
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    chain.reorg(1);
+    await indexer.sync();
+
+    expect(indexer.events().map((event) => event.event)).toEqual(['FeeUpdated']);
+    expect(indexer.status().lastIndexedBlock).toBe(102);
+  });
+
+  test('reports confirmations and finality', async () => {
+    chain.emit('FeeUpdated', [5n]);
+    chain.emit('Paused', [BACKEND_ADDRESS]);
+    chain.emit('Unpaused', [BACKEND_ADDRESS]);
+    const indexer = createIndexer({ finalityDepth: 3 });
+    await indexer.sync();
+
+    expect(indexer.events().map(({ confirmations, final }) => ({ confirmations, final }))).toEqual([
+      { confirmations: 3, final: true },
+      { confirmations: 2, final: false },
+      { confirmations: 1, final: false }
+    ]);
+    expect(indexer.status().finalizedBlock).toBe(101);
+  });
+
+  test('attributes swaps to the wallet that paid into the Swapper', async () => {
+    const router = '0x4444444444444444444444444444444444444444';
+    const trader = '0x5555555555555555555555555555555555555555';
+    chain.emit('TokenSwap', [WETH.address, USDC.address, 10n, 20n], {
+      from: trader,
+      transfers: [
+        { token: WETH.address, from: router, to: SWAPPER_ADDRESS, value: 10n },
+        { token: USDC.address, from: SWAPPER_ADDRESS, to: router, value: 20n }
+      ]
+    });
+    chain.emit('FeeUpdated', [5n]);
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const [swap, feeUpdate] = indexer.events();
+    expect(swap).toMatchObject({ sender: trader, account: router, logIndex: 2 });
+    expect(swap.transfers).toEqual([
+      { token: WETH.address, from: router, to: SWAPPER_ADDRESS, value: '10' },
+      { token: USDC.address, from: SWAPPER_ADDRESS, to: router, value: '20' }
+    ]);
+    expect(feeUpdate).not.toHaveProperty('account');
+  });
+});
@@ -0,0 +1,469 @@
+// File: fakeChain.js
+//
+// In-memory stand-in for the chain used by the Jest suite: a provider that
+// answers ERC-20 calls for a few fake tokens, and a fake Swapper contract
+// that follows the same rules as Swapper.sol. Every swap (or emitted event)
+// mines a block whose logs are served by getLogs, and reorg() replaces the
+// most recent blocks with a fork that drops their logs. Multicall3 is only
+// "deployed" when state.multicall is set. With state.stuck set, swaps wait
+// in a mempool, where they can be replaced, until mine() is called.
+
+const { ethers } = require('ethers');
+const { swapperInterface } = require('./src/contracts/swapper');
+const { erc20Interface } = require('./src/contracts/erc20');
+const { MULTICALL3_ADDRESS, multicallInterface } = require('./src/contracts/multicall');
+const { calculateAmountOut, MINIMUM_LIQUIDITY, MAX_OUTPUT_PERCENTAGE } = require('./src/services/quoteEngine');
+
+const SWAPPER_ADDRESS = '0xe4f50A80A19a36077FDDA1Ce1bAAC9A208FAb97d';
+const BACKEND_ADDRESS = '0x8361B8Cfe378F2f120B3aA375361883213F7Fea9';
+const CHAIN_ID = 31337n;
+
+// Fees the fake network currently asks for, and the lower ones a stuck swap is sent with
+const NETWORK_FEES = { maxFeePerGas: ethers.parseUnits('2', 'gwei'), maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei') };
+const STUCK_FEES = { maxFeePerGas: ethers.parseUnits('1', 'gwei'), maxPriorityFeePerGas: ethers.parseUnits('0.1', 'gwei') };
+
+const TOKENS = {
+  WETH: { address: '0x1111111111111111111111111111111111111111', name: 'Wrapped Ether', symbol: 'WETH', decimals: 18 },
+  USDC: { address: '0x2222222222222222222222222222222222222222', name: 'USD Coin', symbol: 'USDC', decimals: 6 },
+  DAI: { address: '0x3333333333333333333333333333333333333333', name: 'Dai Stablecoin', symbol: 'DAI', decimals: 18 }
+};
+
+/**
+ * Build an error shaped like the CALL_EXCEPTION ethers throws for a revert
+ * @param {string} name - Swapper custom error name
+ * @returns {Error} The error
+ */
+function revertError(name) {
+  return Object.assign(new Error(`execution reverted: ${name}()`), {
+    code: 'CALL_EXCEPTION',
+    data: swapperInterface.encodeErrorResult(name, [])
+  });
+}
+
+/**
+ * Build an error shaped like the CALL_EXCEPTION ethers throws for a require() failure
+ * @param {string} reason - The require() reason string
+ * @returns {Error} The error
+ */
+function reasonError(reason) {
+  return Object.assign(new Error(`execution reverted: "${reason}"`), {
+    code: 'CALL_EXCEPTION',
+    data: ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])])
+  });
+}
+
+/**
+ * Create a fake chain with a funded Swapper pool
+ * @returns {Object} provider, signer, swapper, the mutable state behind them, emit(), mine() and reorg()
+ */
+function createFakeChain() {
+  const key = (address) => address.toLowerCase();
+  const state = {
+    blockNumber: 100,
+    nonce: 0,
+    feeNumerator: 3n,
+    paused: false,
+    owner: BACKEND_ADDRESS,
+    multicall: false,
+    // Swaps are broadcast but left unmined until mine()
+    stuck: false,
+    // Unmined transactions by nonce: every transaction sent at the nonce and the wait() calls on them
+    mempool: new Map(),
+    // Tokens sent to the Swapper outside addLiquidity(), by token
+    donations: new Map(),
+    supported: new Set([TOKENS.WETH.address, TOKENS.USDC.address].map(key)),
+    tokenBalances: new Map([
+      [key(TOKENS.WETH.address), ethers.parseUnits('100', 18)],
+      [key(TOKENS.USDC.address), ethers.parseUnits('300000', 6)]
+    ]),
+    allowances: new Map(),
+    // getTWAP() results by token, [price, valid]
+    twaps: new Map(),
+    // priceHistory entries by token, { timestamp, price }
+    priceHistory: new Map(),
+    transactions: new Map(),
+    receipts: new Map(),
+    transactionCount: 0,
+    logs: [],
+    forks: 0,
+    // Hashes of blocks replaced by a reorg
+    blockHashes: new Map()
+  };
+  const blockHash = (number) => state.blockHashes.get(number) || ethers.id(`block-${number}`);
+  const metadataByAddress = new Map(Object.values(TOKENS).map((token) => [key(token.address), token]));
+
+  const swapperBalanceOf = (token) => (state.tokenBalances.get(key(token)) || 0n) + (state.donations.get(key(token)) || 0n);
+
+  const provider = {
+    async call({ to, data }) {
+      if (key(to) === key(MULTICALL3_ADDRESS) && state.multicall) {
+        const [calls] = multicallInterface.decodeFunctionData('aggregate3', data);
+        const results = [];
+        for (const [target, , callData] of calls) {
+          try {
+            results.push([true, await provider.call({ to: target, data: callData })]);
+          } catch (error) {
+            results.push([false, error.data || '0x']);
+          }
+        }
+        return multicallInterface.encodeFunctionResult('aggregate3', [results]);
+      }
+      if (key(to) === key(SWAPPER_ADDRESS)) {
+        const { name, args } = swapperInterface.parseTransaction({ data });
+        // A swap called rather than sent is simulated against the current pool
+        if (name === 'swap') {
+          simulateSwap(...args);
+          return '0x';
+        }
+        const result = await swapper[name](...args);
+        return swapperInterface.encodeFunctionResult(name, Array.isArray(result) ? result : [result]);
+      }
+
+      const token = metadataByAddress.get(key(to));
+      // Calls to an address without code succeed with empty return data
+      if (!token) return '0x';
+      const { name, args } = erc20Interface.parseTransaction({ data });
+      const results = {
+        decimals: () => [token.decimals],
+        symbol: () => [token.symbol],
+        name: () => [token.name],
+        allowance: () => [state.allowances.get(`${key(to)}:${key(args[0])}`) || 0n],
+        balanceOf: () => [key(args[0]) === key(SWAPPER_ADDRESS) ? swapperBalanceOf(to) : ethers.parseUnits('1000000', token.decimals)]
+      };
+      return erc20Interface.encodeFunctionResult(name, results[name]());
+    },
+    async getCode(address) {
+      return key(address) === key(MULTICALL3_ADDRESS) && state.multicall ? '0x6080' : '0x';
+    },
+    async estimateGas() {
+      return 120000n;
+    },
+    async getNetwork() {
+      return new ethers.Network('anvil', CHAIN_ID);
+    },
+    async getBlockNumber() {
+      return state.blockNumber;
+    },
+    async getBlock(tag = 'latest') {
+      const number = tag === 'latest' ? state.blockNumber : Number(tag);
+      if (number > state.blockNumber) return null;
+      return { number, hash: blockHash(number), parentHash: blockHash(number - 1), timestamp: 1727000000 + number * 12 };
+    },
+    async getFeeData() {
+      return { gasPrice: NETWORK_FEES.maxFeePerGas, ...NETWORK_FEES };
+    },
+    // Every transaction is sent by the backend wallet; nonces still in the mempool are not mined yet
+    async getTransactionCount(address, blockTag = 'latest') {
+      return blockTag === 'pending' ? state.nonce : state.nonce - state.mempool.size;
+    },
+    async getTransaction(hash) {
+      return state.transactions.get(hash) || null;
+    },
+    async getTransactionReceipt(hash) {
+      return state.receipts.get(hash) || null;
+    },
+    async getLogs({ address, topics = [], fromBlock, toBlock }) {
+      const [eventTopics] = topics;
+      return state.logs.filter((log) =>
+        key(log.address) === key(address)
+        && log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+        && (!eventTopics || eventTopics.includes(log.topics[0])));
+    }
+  };
+
+  /**
+   * Mine a block with one transaction emitting a Swapper event
+   * @param {string|null} name - Event name, or null for a transaction without Swapper events
+   * @param {Array} args - Event arguments
+   * @param {Object} [options]
+   * @param {string} [options.from=BACKEND_ADDRESS] - Transaction sender
+   * @param {Array<Object>} [options.transfers=[]] - ERC-20 transfers (token, from, to, value) logged before the event
+   * @param {string} [options.hash] - Hash of the mined transaction, when it was broadcast beforehand
+   * @returns {Object} The transaction receipt
+   */
+  function emit(name, args, { from = BACKEND_ADDRESS, transfers = [], hash } = {}) {
+    state.blockNumber += 1;
+    const position = {
+      blockNumber: state.blockNumber,
+      blockHash: blockHash(state.blockNumber),
+      transactionHash: hash || ethers.id(`tx-${state.transactionCount++}`),
+      transactionIndex: 0
+    };
+    const logs = [
+      ...transfers.map((transfer) => ({
+        ...erc20Interface.encodeEventLog('Transfer', [transfer.from, transfer.to, transfer.value]),
+        address: transfer.token
+      })),
+      ...(name ? [{ ...swapperInterface.encodeEventLog(name, args), address: SWAPPER_ADDRESS }] : [])
+    ].map((log, index) => ({ ...log, ...position, index }));
+    state.logs.push(...logs);
+
+    const receipt = {
+      status: 1,
+      hash: position.transactionHash,
+      from,
+      blockNumber: position.blockNumber,
+      blockHash: position.blockHash,
+      gasUsed: 95000n,
+      logs
+    };
+    state.receipts.set(receipt.hash, receipt);
+    return receipt;
+  }
+
+  /**
+   * Check a swap against the pool state without running it
+   * @param {string} fromToken - Token sold
+   * @param {string} toToken - Token bought
+   * @param {bigint} amountIn - Amount sold
+   * @param {bigint} minAmountOut - Smallest amount bought
+   * @returns {{ fromBalance: bigint, toBalance: bigint, amountOut: bigint }} Pool balances and the output
+   * @throws {Error} The revert, as Swapper.sol would raise it
+   */
+  function simulateSwap(fromToken, toToken, amountIn, minAmountOut) {
+    if (!state.supported.has(key(fromToken)) || !state.supported.has(key(toToken))) throw revertError('UnsupportedToken');
+    if (key(fromToken) === key(toToken)) throw revertError('SameTokenSwap');
+
+    const fromBalance = state.tokenBalances.get(key(fromToken)) || 0n;
+    const toBalance = state.tokenBalances.get(key(toToken)) || 0n;
+    if (toBalance === 0n) throw revertError('InsufficientSwapperLiquidity');
+    const { amountOut } = calculateAmountOut({ amountIn, fromBalance, toBalance, feeNumerator: state.feeNumerator });
+    if (toBalance - amountOut < MINIMUM_LIQUIDITY) throw revertError('InsufficientRemainingLiquidity');
+    if (amountOut > toBalance * MAX_OUTPUT_PERCENTAGE / 100n) throw revertError('ExcessiveSwapImpact');
+    if (amountOut < minAmountOut) throw revertError('SlippageExceeded');
+    return { fromBalance, toBalance, amountOut };
+  }
+
+  /**
+   * Run a swap against the pool state and mine it
+   * @param {string} fromToken - Token sold
+   * @param {string} toToken - Token bought
+   * @param {bigint} amountIn - Amount sold
+   * @param {bigint} minAmountOut - Smallest amount bought
+   * @param {string} [hash] - Hash of the transaction, when it was broadcast beforehand
+   * @returns {Object} The transaction receipt
+   * @throws {Error} The revert, as Swapper.sol would raise it
+   */
+  function executeSwap(fromToken, toToken, amountIn, minAmountOut, hash) {
+    const { fromBalance, toBalance, amountOut } = simulateSwap(fromToken, toToken, amountIn, minAmountOut);
+
+    state.tokenBalances.set(key(fromToken), fromBalance + amountIn);
+    state.tokenBalances.set(key(toToken), toBalance - amountOut);
+
+    return emit('TokenSwap', [fromToken, toToken, amountIn, amountOut], {
+      hash,
+      transfers: [
+        { token: fromToken, from: BACKEND_ADDRESS, to: SWAPPER_ADDRESS, value: amountIn },
+        { token: toToken, from: SWAPPER_ADDRESS, to: BACKEND_ADDRESS, value: amountOut }
+      ]
+    });
+  }
+
+  /**
+   * Broadcast a transaction without mining it
+   * Sending again at the same nonce replaces it if both fees are raised by at least 10%.
+   * @param {Object} request - to, data, value, nonce, gasLimit and EIP-1559 fees
+   * @returns {Object} Transaction response; like a contract call's response in ethers, wait()
+   *   resolves once this very transaction is mined and never settles if another one takes its nonce
+   */
+  function broadcast(request) {
+    const nonce = request.nonce === undefined ? state.nonce++ : Number(request.nonce);
+    const entry = state.mempool.get(nonce) || { candidates: [], waiters: new Map() };
+    const last = entry.candidates[entry.candidates.length - 1];
+    if (last && (request.maxFeePerGas * 10n < last.maxFeePerGas * 11n
+      || request.maxPriorityFeePerGas * 10n < last.maxPriorityFeePerGas * 11n)) {
+      throw Object.assign(new Error('replacement transaction underpriced'), { code: 'REPLACEMENT_UNDERPRICED' });
+    }
+    const tx = {
+      hash: ethers.id(`tx-${state.transactionCount++}`),
+      from: BACKEND_ADDRESS,
+      to: request.to,
+      data: request.data || '0x',
+      value: BigInt(request.value || 0),
+      nonce,
+      gasLimit: BigInt(request.gasLimit || 120000n),
+      chainId: CHAIN_ID,
+      type: 2,
+      maxFeePerGas: BigInt(request.maxFeePerGas),
+      maxPriorityFeePerGas: BigInt(request.maxPriorityFeePerGas),
+      wait: () => new Promise((resolve) => {
+        if (state.receipts.has(tx.hash)) resolve(state.receipts.get(tx.hash));
+        else entry.waiters.set(tx.hash, resolve);
+      })
+    };
+    entry.candidates.push(tx);
+    state.mempool.set(nonce, entry);
+    state.transactions.set(tx.hash, tx);
+    return tx;
+  }
+
+  /**
+   * Mine every transaction in the mempool; at each nonce the last one sent wins
+   */
+  function mine() {
+    for (const [nonce, entry] of [...state.mempool].sort(([a], [b]) => a - b)) {
+      state.mempool.delete(nonce);
+      const winner = entry.candidates[entry.candidates.length - 1];
+      let receipt;
+      if (key(winner.to) === key(SWAPPER_ADDRESS)) {
+        const { args } = swapperInterface.parseTransaction({ data: winner.data });
+        try {
+          receipt = executeSwap(...args, winner.hash);
+        } catch (error) {
+          receipt = Object.assign(emit(null, [], { hash: winner.hash }), { status: 0 });
+        }
+      } else {
+        receipt = emit(null, [], { hash: winner.hash });
+      }
+      if (entry.waiters.has(winner.hash)) entry.waiters.get(winner.hash)(receipt);
+    }
+  }
+
+  // Backend wallet; only used to send replacements of stuck transactions
+  const signer = {
+    provider,
+    async getAddress() {
+      return BACKEND_ADDRESS;
+    },
+    async sendTransaction(request) {
+      return broadcast(request);
+    }
+  };
+
+  /**
+   * Wrap the receipt of a mined call in a transaction response
+   * @param {Object} receipt - Receipt returned by emit()
+   * @returns {Object} Transaction with hash, nonce and wait()
+   */
+  function send(receipt) {
+    const tx = { hash: receipt.hash, from: BACKEND_ADDRESS, nonce: state.nonce++, wait: async () => receipt };
+    state.transactions.set(receipt.hash, tx);
+    return tx;
+  }
+
+  const swapper = {
+    interface: swapperInterface,
+    async getAddress() {
+      return SWAPPER_ADDRESS;
+    },
+    async tokenBalances(token) {
+      return state.tokenBalances.get(key(token)) || 0n;
+    },
+    async feeNumerator() {
+      return state.feeNumerator;
+    },
+    async FEE_DENOMINATOR() {
+      return 1000n;
+    },
+    async MAX_OUTPUT_PERCENTAGE() {
+      return MAX_OUTPUT_PERCENTAGE;
+    },
+    async MINIMUM_LIQUIDITY() {
+      return MINIMUM_LIQUIDITY;
+    },
+    async MIN_OBSERVATIONS() {
+      return 5n;
+    },
+    async priceHistory(token, index) {
+      const entry = (state.priceHistory.get(key(token)) || [])[Number(index)];
+      // Out-of-bounds array access panics with code 0x32
+      if (!entry) throw Object.assign(new Error('array out-of-bounds access'), { code: 'CALL_EXCEPTION', data: '0x4e487b71' + '32'.padStart(64, '0') });
+      return [BigInt(entry.timestamp), entry.price];
+    },
+    async paused() {
+      return state.paused;
+    },
+    async owner() {
+      return state.owner;
+    },
+    async supportedTokens(token) {
+      return state.supported.has(key(token));
+    },
+    async getTWAP(token) {
+      if (!state.supported.has(key(token))) throw Object.assign(new Error('execution reverted: "Unsupported token"'), { code: 'CALL_EXCEPTION', reason: 'Unsupported token' });
+      return state.twaps.get(key(token)) || [0n, false];
+    },
+    async swap(fromToken, toToken, amountIn, minAmountOut) {
+      if (state.stuck) {
+        return broadcast({ to: SWAPPER_ADDRESS, data: swapperInterface.encodeFunctionData('swap', [fromToken, toToken, amountIn, minAmountOut]), ...STUCK_FEES });
+      }
+      return send(executeSwap(fromToken, toToken, amountIn, minAmountOut));
+    },
+    // Owner functions; the fake does not know the sender, so onlyOwner is left to the caller
+    async addSupportedToken(token) {
+      if (token === ethers.ZeroAddress) throw reasonError('Invalid token address');
+      if (state.supported.has(key(token))) throw reasonError('Token already supported');
+      state.supported.add(key(token));
+      return send(emit('SupportedTokenAdded', [token]));
+    },
+    async removeSupportedToken(token) {
+      if (!state.supported.has(key(token))) throw reasonError('Token not supported');
+      state.supported.delete(key(token));
+      return send(emit(null, []));
+    },
+    async setFee(feeNumerator) {
+      if (feeNumerator > 50n) throw reasonError('Fee too high');
+      state.feeNumerator = feeNumerator;
+      return send(emit('FeeUpdated', [feeNumerator]));
+    },
+    async pause() {
+      if (state.paused) throw revertError('EnforcedPause');
+      state.paused = true;
+      return send(emit('Paused', [state.owner]));
+    },
+    async unpause() {
+      if (!state.paused) throw revertError('ExpectedPause');
+      state.paused = false;
+      return send(emit('Unpaused', [state.owner]));
+    },
+    async withdrawToken(token, amount) {
+      const balance = await swapper.tokenBalances(token);
+      if (balance < amount) throw revertError('InsufficientSwapperLiquidity');
+      state.tokenBalances.set(key(token), balance - amount);
+      // Like Swapper.withdrawToken, only the token transfer is logged
+      return send(emit(null, [], { transfers: [{ token, from: SWAPPER_ADDRESS, to: state.owner, value: amount }] }));
+    },
+    async removeLiquidity(token, amount) {
+      if (state.paused) throw revertError('EnforcedPause');
+      if (!state.supported.has(key(token))) throw reasonError('Unsupported token');
+      const balance = await swapper.tokenBalances(token);
+      if (balance < amount) throw reasonError('Insufficient liquidity');
+      state.tokenBalances.set(key(token), balance - amount);
+      return send(emit('LiquidityRemoved', [token, amount]));
+    },
+    async transferOwnership(newOwner) {
+      const previousOwner = state.owner;
+      state.owner = newOwner;
+      return send(emit('OwnershipTransferred', [previousOwner, newOwner]));
+    }
+  };
+
+  /**
+   * Replace the last `depth` blocks with empty blocks of a new fork
+   * @param {number} depth - Number of blocks replaced
+   */
+  function reorg(depth) {
+    state.forks += 1;
+    const forkedFrom = state.blockNumber - depth + 1;
+    for (let number = forkedFrom; number <= state.blockNumber; number++) {
+      state.blockHashes.set(number, ethers.id(`block-${number}-fork-${state.forks}`));
+    }
+    state.logs = state.logs.filter((log) => log.blockNumber < forkedFrom);
+    for (const [hash, receipt] of state.receipts) {
+      if (receipt.blockNumber >= forkedFrom) state.receipts.delete(hash);
+    }
+  }
+
+  return { provider, signer, swapper, state, emit, mine, reorg };
+}
+
+module.exports = {
+  SWAPPER_ADDRESS,
+  BACKEND_ADDRESS,
+  CHAIN_ID,
+  NETWORK_FEES,
+  TOKENS,
+  revertError,
+  reasonError,
+  createFakeChain
+};
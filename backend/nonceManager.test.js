@@ -0,0 +1,121 @@
+// File: nonceManager.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createNonceManager } = require('./src/services/nonceManager');
+const { createJsonStore } = require('./src/storage/jsonStore');
+const { BACKEND_ADDRESS } = require('./fakeChain');
+
+/**
+ * A node's view of one account: mined count and mempool by nonce
+ * @returns {Object} provider, signer and the mutable state behind them
+ */
+function createFakeNode() {
+  const state = { mined: 10, mempool: new Map(), sent: 0, failNext: null, laggingPending: false };
+  const provider = {
+    async getTransactionCount(address, tag) {
+      if (tag === 'latest' || state.laggingPending) return state.mined;
+      let count = state.mined;
+      while (state.mempool.has(count)) count += 1;
+      return count;
+    },
+    async getTransaction(hash) {
+      return [...state.mempool.values()].find((tx) => tx.hash === hash) || null;
+    }
+  };
+  const signer = {
+    provider,
+    async getAddress() {
+      return BACKEND_ADDRESS;
+    },
+    async sendTransaction(tx) {
+      // A slow node makes overlapping sends interleave without a nonce manager
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      if (state.failNext) {
+        const code = state.failNext;
+        state.failNext = null;
+        throw Object.assign(new Error(code), { code });
+      }
+      if (tx.nonce < state.mined) throw Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+      if (state.mempool.has(tx.nonce)) throw Object.assign(new Error('replacement fee too low'), { code: 'REPLACEMENT_UNDERPRICED' });
+      const sent = { ...tx, hash: ethers.id(`sent-${state.sent++}`) };
+      state.mempool.set(tx.nonce, sent);
+      return sent;
+    }
+  };
+  // Mine every contiguous transaction in the mempool
+  const mine = () => {
+    while (state.mempool.has(state.mined)) {
+      state.mempool.delete(state.mined);
+      state.mined += 1;
+    }
+  };
+  return { provider, signer, state, mine };
+}
+
+describe('Nonce manager', () => {
+  let node;
+  let dir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    node = createFakeNode();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nonces-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createManager = () => createNonceManager({
+    signer: node.signer,
+    store: createJsonStore(path.join(dir, 'nonces.json'))
+  });
+
+  test('assigns distinct nonces in order to overlapping sends', async () => {
+    const manager = createManager();
+    const sent = await Promise.all([1, 2, 3].map((value) => manager.sendTransaction({ value })));
+    expect(sent.map((tx) => [tx.value, tx.nonce])).toEqual([[1, 10], [2, 11], [3, 12]]);
+  });
+
+  test('does not reuse in-flight nonces after a restart, and drops mined ones', async () => {
+    await createManager().sendTransaction({});
+    await createManager().sendTransaction({});
+    // A node behind a load balancer may not count our pending transactions yet
+    node.state.laggingPending = true;
+    const restarted = createManager();
+    expect((await restarted.sendTransaction({})).nonce).toBe(12);
+
+    node.state.laggingPending = false;
+    node.mine();
+    await restarted.sendTransaction({});
+    const records = Object.values(JSON.parse(fs.readFileSync(path.join(dir, 'nonces.json'), 'utf8')));
+    expect(records.map((record) => record.nonce)).toEqual([13]);
+  });
+
+  test('reuses the nonce of a dropped transaction', async () => {
+    const manager = createManager();
+    const first = await manager.sendTransaction({});
+    await manager.sendTransaction({});
+    node.state.mempool.delete(first.nonce);
+
+    expect((await manager.sendTransaction({})).nonce).toBe(10);
+    expect((await manager.sendTransaction({})).nonce).toBe(12);
+  });
+
+  test('resyncs when a send is refused as underpriced or too low', async () => {
+    const manager = createManager();
+    await manager.sendTransaction({});
+    // Something else used the wallet and the node reports it late
+    node.state.mined = 15;
+    node.state.failNext = 'NONCE_EXPIRED';
+    expect((await manager.sendTransaction({})).nonce).toBe(15);
+
+    node.state.failNext = 'INSUFFICIENT_FUNDS';
+    await expect(manager.sendTransaction({})).rejects.toThrow('INSUFFICIENT_FUNDS');
+    expect((await manager.sendTransaction({})).nonce).toBe(16);
+  });
+});
@@ -0,0 +1,88 @@
+// File: quoteEngine.test.js
+
+const { buildQuote, calculateAmountOut, maxSingleTradeOutput } = require('./src/services/quoteEngine');
+
+const FROM = '0x1111111111111111111111111111111111111111';
+const TO = '0x2222222222222222222222222222222222222222';
+const E18 = 10n ** 18n;
+
+describe('Quote engine', () => {
+  test('calculateAmountOut matches the contract formula', () => {
+    const { amountInWithFee, amountOut } = calculateAmountOut({
+      amountIn: 10n * E18,
+      fromBalance: 1000n * E18,
+      toBalance: 1000n * E18,
+      feeNumerator: 3n
+    });
+    expect(amountInWithFee).toBe(9970000000000000000n);
+    expect(amountOut).toBe((1000n * E18 * amountInWithFee) / (1000n * E18 + amountInWithFee));
+  });
+
+  test('buildQuote reports fee and effective price', () => {
+    const quote = buildQuote({
+      fromToken: FROM,
+      toToken: TO,
+      amountIn: E18,
+      fromBalance: 100n * E18,
+      toBalance: 200n * E18,
+      feeNumerator: 3n
+    });
+    expect(quote.fee).toBe(3000000000000000n);
+    expect(quote.amountOut).toBe(1974316068794122597n);
+    expect(quote.effectivePrice).toBe('1.974316068794122597');
+    expect(quote.willRevert).toBe(false);
+  });
+
+  test('buildQuote predicts the MAX_OUTPUT_PERCENTAGE cap', () => {
+    const quote = buildQuote({
+      fromToken: FROM,
+      toToken: TO,
+      amountIn: 100n * E18,
+      fromBalance: 100n * E18,
+      toBalance: 200n * E18,
+      feeNumerator: 3n
+    });
+    expect(quote.revertReason).toBe('ExcessiveSwapImpact');
+  });
+
+  test('buildQuote predicts the MINIMUM_LIQUIDITY guard', () => {
+    const quote = buildQuote({
+      fromToken: FROM,
+      toToken: TO,
+      amountIn: 1000n,
+      fromBalance: 0n,
+      toBalance: 1500n,
+      feeNumerator: 0n
+    });
+    expect(quote.amountOut).toBe(1500n);
+    expect(quote.revertReason).toBe('InsufficientRemainingLiquidity');
+  });
+
+  test('buildQuote caps maxAmountOut by MINIMUM_LIQUIDITY in small pools, like GET /pool', () => {
+    const quote = buildQuote({
+      fromToken: FROM,
+      toToken: TO,
+      amountIn: 10n,
+      fromBalance: 1000n,
+      toBalance: 1200n,
+      feeNumerator: 0n
+    });
+    expect(quote.maxAmountOut).toBe(200n);
+    expect(quote.maxAmountOut).toBe(maxSingleTradeOutput(1200n));
+  });
+
+  test('buildQuote corrects the effective price for token decimals', () => {
+    const quote = buildQuote({
+      fromToken: FROM,
+      toToken: TO,
+      amountIn: E18,
+      fromBalance: 1000n * E18,
+      toBalance: 2000n * 10n ** 6n,
+      feeNumerator: 0n,
+      fromDecimals: 18,
+      toDecimals: 6
+    });
+    expect(quote.amountOut).toBe(1998001n);
+    expect(quote.effectivePrice).toBe('1.998001');
+  });
+});
@@ -1,29 +1,918 @@
 // File: server.test.js
 
+const http = require('http');
 const request = require('supertest');
-const app = require('./src/server'); // Make sure to export app from server.js
+const { ethers } = require('ethers');
+const { createApp } = require('./src/app');
+const { createFakeChain, revertError, SWAPPER_ADDRESS, BACKEND_ADDRESS, NETWORK_FEES, TOKENS } = require('./fakeChain');
+const { findDeployment } = require('./src/services/deployments');
+const { MULTICALL3_ADDRESS } = require('./src/contracts/multicall');
+const { swapperInterface } = require('./src/contracts/swapper');
+
+const { WETH, USDC, DAI } = TOKENS;
+
+const ADMIN_TOKEN = 'a'.repeat(40);
+const adminAuth = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+const SIWE_DOMAIN = 'swap.example';
+const operator = new ethers.Wallet(`0x${'7'.repeat(64)}`);
+
+// Build an EIP-4361 message
+const siweMessage = ({ address, nonce, domain = SIWE_DOMAIN, chainId = 31337, expirationTime }) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  'Sign in to the Swap API',
+  '',
+  `URI: https://${domain}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date().toISOString()}`,
+  ...(expirationTime ? [`Expiration Time: ${expirationTime}`] : [])
+].join('\n');
+
+// Sign in with a wallet and return the verify response
+const signIn = async (app, wallet, fields = {}) => {
+  const { body: { nonce } } = await request(app).get('/auth/nonce');
+  const message = siweMessage({ address: wallet.address, nonce, ...fields });
+  return request(app).post('/auth/verify').send({ message, signature: await wallet.signMessage(message) });
+};
+
+// Let background swap jobs run to completion
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Open a Server-Sent Events stream on a running copy of the app
+const openStream = (app, path, headers = {}) => new Promise((resolve) => {
+  const server = app.listen(0, () => {
+    const req = http.get({ port: server.address().port, path, headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      resolve({
+        res,
+        read: () => body,
+        close: () => {
+          req.destroy();
+          server.close();
+        }
+      });
+    });
+  });
+});
+
+// Wait until a condition holds, checking between event loop turns
+const waitFor = async (condition) => {
+  for (let i = 0; i < 50 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
 
 describe('API Endpoints', () => {
+  let chain;
+  let app;
+
+  beforeEach(() => {
+    // Failed swap jobs are logged; keep the test output readable
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    chain = createFakeChain();
+    app = createApp({
+      provider: chain.provider,
+      signer: chain.signer,
+      swapper: chain.swapper,
+      ownerSigner: { getAddress: async () => BACKEND_ADDRESS },
+      config: {
+        swapperAddress: SWAPPER_ADDRESS,
+        deployment: findDeployment(11155111),
+        adminTokens: [{ name: 'ops', token: ADMIN_TOKEN }],
+        operators: [operator.address],
+        siweDomain: SIWE_DOMAIN
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   test('GET / should return welcome message', async () => {
     const res = await request(app).get('/');
     expect(res.statusCode).toBe(200);
     expect(res.body).toHaveProperty('message', 'Welcome to the ERC-20 Swap API');
   });
 
-  test('POST /swap should return swap details', async () => {
-    const swapData = {
-      fromToken: '0x123...',
-      toToken: '0x456...',
-      amount: '100'
-    };
+  test('GET /quote should quote with each token\'s decimals', async () => {
+    const res = await request(app)
+      .get('/quote')
+      .query({ fromToken: WETH.address, toToken: USDC.address, amountIn: '1' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.amountIn).toEqual({ raw: '1000000000000000000', formatted: '1.0' });
+    expect(res.body.amountOut.raw).toBe('2961474103');
+    expect(res.body.fee.formatted).toBe('0.003');
+    expect(res.body.effectivePrice).toBe('2961.474103');
+    expect(res.body.tokens.to).toMatchObject({ symbol: 'USDC', decimals: 6 });
+    expect(res.body.willRevert).toBe(false);
+  });
+
+  test('GET /quote should predict the output cap', async () => {
+    const res = await request(app)
+      .get('/quote')
+      .query({ fromToken: WETH.address, toToken: USDC.address, amountIn: '100' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.willRevert).toBe(true);
+    expect(res.body.revertReason).toBe('ExcessiveSwapImpact');
+  });
+
+  test('GET /quote should reject invalid input before any RPC call', async () => {
+    const res = await request(app)
+      .get('/quote')
+      .query({ fromToken: '0x123...', toToken: USDC.address, amountIn: '0' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.details.fields.map((error) => error.field)).toEqual(['fromToken', 'amountIn']);
+  });
+
+  test('GET /quote and GET /pool/:token should reject an address without contract code', async () => {
+    const codeless = '0x4444444444444444444444444444444444444444';
+    const quote = await request(app).get('/quote').query({ fromToken: codeless, toToken: USDC.address, amountIn: '1' });
+    expect(quote.statusCode).toBe(400);
+    expect(quote.body).toMatchObject({ code: 'INVALID_TOKEN', details: { token: codeless } });
+
+    const pool = await request(app).get(`/pool/${codeless}`);
+    expect(pool.statusCode).toBe(400);
+    expect(pool.body.code).toBe('INVALID_TOKEN');
+  });
+
+  test('POST /swap should queue a job that is mined in the background', async () => {
+    const res = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: USDC.address, amount: '1', slippageBps: 100 });
+    expect(res.statusCode).toBe(202);
+    expect(res.body).toHaveProperty('message', 'Swap queued');
+    expect(res.body).toHaveProperty('status', 'queued');
+    expect(res.body.request.minAmountOut.raw).toBe('2931859361');
+
+    await flush();
+    const status = await request(app).get(res.body.statusUrl);
+    expect(status.statusCode).toBe(200);
+    expect(status.body.status).toBe('mined');
+    expect(status.body.amountOut).toEqual({ raw: '2961474103', formatted: '2961.474103' });
+    expect(status.body.gasUsed).toBe('95000');
+    expect(status.body.transactionHash).toMatch(/^0x[0-9a-f]{64}$/);
+  });
+
+  test('POST /swap should record the decoded revert of a failed swap', async () => {
+    const res = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: USDC.address, amount: '1', minAmountOut: '5000' });
+    expect(res.statusCode).toBe(202);
+
+    await flush();
+    const status = await request(app).get(`/swaps/${res.body.jobId}`);
+    expect(status.body.status).toBe('failed');
+    expect(status.body.revertReason).toBe('SlippageExceeded');
+    expect(status.body.errorCode).toBe('SLIPPAGE_EXCEEDED');
+  });
+
+  test('POST /swap should default to 50 bps of slippage on a fresh quote', async () => {
+    const res = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: USDC.address, amount: '1' });
+    expect(res.statusCode).toBe(202);
+    expect(res.body.request.slippageBps).toBe(50);
+    expect(res.body.request.quotedAmountOut.raw).toBe('2961474103');
+    expect(res.body.request.minAmountOut.raw).toBe('2946666732');
+  });
+
+  test('POST /swap should pass an explicit minAmountOut through unchanged', async () => {
+    const res = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: USDC.address, amount: '1', minAmountOut: '2900' });
+    expect(res.statusCode).toBe(202);
+    expect(res.body.request.slippageBps).toBeNull();
+    expect(res.body.request.minAmountOut).toEqual({ raw: '2900000000', formatted: '2900.0' });
+
+    await flush();
+    const status = await request(app).get(res.body.statusUrl);
+    expect(status.body.status).toBe('mined');
+    expect(status.body.amountOut.raw).toBe('2961474103');
+  });
+
+  test('POST /swap should accept a minAmountOut of zero', async () => {
+    const res = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: USDC.address, amount: '1', minAmountOutRaw: '0' });
+    expect(res.statusCode).toBe(202);
+    expect(res.body.request.minAmountOut.raw).toBe('0');
+  });
+
+  test('POST /swap should reject minAmountOut combined with slippageBps', async () => {
+    const res = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: USDC.address, amount: '1', minAmountOutRaw: '1', slippageBps: 100 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details.fields).toEqual([{ field: 'slippageBps', message: 'cannot be combined with minAmountOut' }]);
+  });
+
+  test('POST /swap should reject the same token on both sides', async () => {
+    const res = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: WETH.address.toLowerCase(), amount: '1' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details.fields).toEqual([{ field: 'toToken', message: 'must differ from fromToken' }]);
+  });
+
+  test('GET /swaps/:jobId should return 404 for unknown jobs', async () => {
+    const res = await request(app).get('/swaps/00000000-0000-4000-8000-000000000000');
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('JOB_NOT_FOUND');
+  });
+
+  test('POST /swaps/:jobId/speedup should follow the faster transaction', async () => {
+    chain.state.stuck = true;
+    const queued = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: USDC.address, amount: '1' });
+    await flush();
+
+    const res = await request(app).post(`/swaps/${queued.body.jobId}/speedup`).set(adminAuth).send({ bumpPercent: 50 });
+    expect(res.statusCode).toBe(202);
+    expect(res.body.status).toBe('submitted');
+    expect(res.body.attempts.map((attempt) => attempt.type)).toEqual(['original', 'speedup']);
+    // Bumped to the network's fees, which beat the stuck fees plus 50%
+    expect(res.body.attempts[1]).toMatchObject({
+      maxFeePerGas: NETWORK_FEES.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: NETWORK_FEES.maxPriorityFeePerGas.toString()
+    });
+
+    chain.mine();
+    await app.locals.swapJobs.poll();
+    const status = await request(app).get(`/swaps/${queued.body.jobId}`);
+    expect(status.body.status).toBe('mined');
+    expect(status.body.transactionHash).toBe(res.body.attempts[1].transactionHash);
+    expect(status.body.amountOut.raw).toBe('2961474103');
+    expect(status.body.attempts.map((attempt) => attempt.status)).toEqual(['replaced', 'mined']);
+  });
+
+  test('POST /swaps/:jobId/cancel should mark the job cancelled once the transfer is mined', async () => {
+    chain.state.stuck = true;
+    const queued = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: USDC.address, amount: '1' });
+    await flush();
+
+    const res = await request(app).post(`/swaps/${queued.body.jobId}/cancel`).set(adminAuth);
+    expect(res.statusCode).toBe(202);
+    const cancel = await chain.provider.getTransaction(res.body.attempts[1].transactionHash);
+    expect(cancel).toMatchObject({ to: BACKEND_ADDRESS, data: '0x', value: 0n, nonce: 0 });
+
+    chain.mine();
+    await app.locals.swapJobs.poll();
+    const status = await request(app).get(`/swaps/${queued.body.jobId}`);
+    expect(status.body.status).toBe('cancelled');
+    expect(status.body.amountOut).toBeNull();
+    expect(status.body.attempts.map((attempt) => attempt.status)).toEqual(['replaced', 'mined']);
+  });
+
+  test('POST /swaps/:jobId/speedup should refuse jobs that are no longer pending', async () => {
+    const queued = await request(app)
+      .post('/swap')
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: USDC.address, amount: '1' });
+    await flush();
+
+    const res = await request(app).post(`/swaps/${queued.body.jobId}/speedup`).set(adminAuth);
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('JOB_NOT_PENDING');
+
+    const anonymous = await request(app).post(`/swaps/${queued.body.jobId}/cancel`);
+    expect(anonymous.statusCode).toBe(401);
+  });
+
+  test('GET /swaps should page through indexed swaps newest first', async () => {
+    await chain.swapper.swap(WETH.address, USDC.address, 10n ** 18n, 0n);
+    await chain.swapper.swap(USDC.address, WETH.address, 1000n * 10n ** 6n, 0n);
+    await chain.swapper.swap(WETH.address, USDC.address, 2n * 10n ** 18n, 0n);
+    await app.locals.indexer.sync();
+
+    const first = await request(app).get('/swaps').query({ limit: 2 });
+    expect(first.statusCode).toBe(200);
+    expect(first.body.swaps.map((swap) => swap.blockNumber)).toEqual([103, 102]);
+    expect(first.body.swaps[1]).toMatchObject({
+      fromToken: { symbol: 'USDC', decimals: 6 },
+      toToken: { symbol: 'WETH', decimals: 18 },
+      amountIn: { raw: '1000000000', formatted: '1000.0' }
+    });
+
+    const second = await request(app).get('/swaps').query({ limit: 2, cursor: first.body.nextCursor });
+    expect(second.body.swaps).toHaveLength(1);
+    expect(second.body.swaps[0]).toMatchObject({
+      blockNumber: 101,
+      amountOut: { raw: '2961474103', formatted: '2961.474103' },
+      price: '2961.474103'
+    });
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  test('GET /swaps should filter by pair and minimum amount', async () => {
+    await chain.swapper.swap(WETH.address, USDC.address, 10n ** 18n, 0n);
+    await chain.swapper.swap(WETH.address, USDC.address, 2n * 10n ** 18n, 0n);
+    await app.locals.indexer.sync();
+
+    const res = await request(app)
+      .get('/swaps')
+      .query({ fromToken: WETH.address, toToken: USDC.address, minAmountIn: '1.5' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.swaps.map((swap) => swap.amountIn.formatted)).toEqual(['2.0']);
+
+    const invalid = await request(app).get('/swaps').query({ minAmountIn: '1.5', cursor: 'nope' });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.details.fields.map((error) => error.field)).toEqual(['cursor', 'minAmountIn']);
+  });
+
+  test('GET /accounts/:address/activity should list swaps and liquidity adds with running totals', async () => {
+    const provider = '0x5555555555555555555555555555555555555555';
+    chain.emit('LiquidityAdded', [WETH.address, 5n * 10n ** 18n], {
+      from: provider,
+      transfers: [{ token: WETH.address, from: provider, to: SWAPPER_ADDRESS, value: 5n * 10n ** 18n }]
+    });
+    await chain.swapper.swap(WETH.address, USDC.address, 10n ** 18n, 0n);
+    await chain.swapper.swap(WETH.address, USDC.address, 10n ** 18n, 0n);
+    await app.locals.indexer.sync();
+
+    const res = await request(app).get(`/accounts/${BACKEND_ADDRESS.toLowerCase()}/activity`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.activity.map((row) => row.type)).toEqual(['swap', 'swap']);
+    expect(res.body.activity[0].runningTotals[WETH.address].sold.formatted).toBe('2.0');
+    expect(res.body.activity[1].runningTotals[WETH.address].sold.formatted).toBe('1.0');
+    expect(res.body.totals).toHaveLength(2);
+
+    const lp = await request(app).get(`/accounts/${provider}/activity`);
+    expect(lp.body.activity).toHaveLength(1);
+    expect(lp.body.activity[0]).toMatchObject({
+      type: 'liquidityAdded',
+      token: { symbol: 'WETH' },
+      amount: { formatted: '5.0' },
+      runningTotals: { [WETH.address]: { liquidityAdded: { formatted: '5.0' } } }
+    });
+  });
+
+  test('GET /tokens should list added tokens the Swapper still supports', async () => {
+    chain.emit('SupportedTokenAdded', [WETH.address]);
+    chain.emit('SupportedTokenAdded', [USDC.address]);
+    chain.emit('SupportedTokenAdded', [DAI.address]);
+    chain.state.twaps.set(WETH.address.toLowerCase(), [3n * 10n ** 18n, true]);
+    await app.locals.indexer.sync();
+
+    const res = await request(app).get('/tokens');
+    expect(res.statusCode).toBe(200);
+    // DAI was added and later removed, which emits no event
+    expect(res.body.tokens.map((token) => token.symbol)).toEqual(['WETH', 'USDC']);
+    expect(res.body.tokens[0]).toMatchObject({
+      name: 'Wrapped Ether',
+      decimals: 18,
+      balance: { formatted: '100.0' },
+      twap: { raw: '3000000000000000000', formatted: '3.0' },
+      addedAt: { blockNumber: 101 }
+    });
+    expect(res.body.tokens[1].twap).toBeNull();
+  });
+
+  test('GET /pool should report reserves, drift and trade limits', async () => {
+    chain.emit('SupportedTokenAdded', [WETH.address]);
+    chain.emit('SupportedTokenAdded', [USDC.address]);
+    chain.state.donations.set(WETH.address.toLowerCase(), 10n ** 18n);
+    await app.locals.indexer.sync();
+
+    const res = await request(app).get('/pool');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      address: SWAPPER_ADDRESS,
+      owner: BACKEND_ADDRESS,
+      paused: false,
+      fee: { numerator: '3', denominator: '1000' },
+      maxOutputPercentage: '30'
+    });
+    expect(res.body.tokens[0]).toMatchObject({
+      symbol: 'WETH',
+      tokenBalance: { formatted: '100.0' },
+      actualBalance: { formatted: '101.0' },
+      drift: { formatted: '1.0' },
+      maxAmountOut: { formatted: '30.0' }
+    });
+    expect(res.body.tokens[1].maxAmountOut.formatted).toBe('90000.0');
+  });
+
+  test('GET /pool should still answer when a supported token has broken metadata views', async () => {
+    // Supported by the Swapper, but its decimals() and symbol() return nothing
+    const broken = '0x5555555555555555555555555555555555555555';
+    chain.state.supported.add(broken);
+    chain.state.tokenBalances.set(broken, 1234n);
+    chain.emit('SupportedTokenAdded', [WETH.address]);
+    chain.emit('SupportedTokenAdded', [broken]);
+    await app.locals.indexer.sync();
+
+    const res = await request(app).get('/pool');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.tokens[0].symbol).toBe('WETH');
+    expect(res.body.tokens[1]).toMatchObject({
+      address: broken,
+      symbol: null,
+      decimals: null,
+      tokenBalance: { raw: '1234', formatted: null },
+      actualBalance: null
+    });
+  });
+
+  test('GET /pool/:token should batch its reads through Multicall3 when deployed', async () => {
+    chain.state.multicall = true;
+    chain.state.paused = true;
+    const call = jest.spyOn(chain.provider, 'call');
+
+    const res = await request(app).get(`/pool/${USDC.address}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.paused).toBe(true);
+    expect(res.body.token).toMatchObject({ symbol: 'USDC', supported: true, drift: { raw: '0' } });
+    expect(call.mock.calls[0][0].to).toBe(MULTICALL3_ADDRESS);
+  });
+
+  test('GET /tokens/:address/twap should return the TWAP and its observations', async () => {
+    const now = 1727000000 + 100 * 12;
+    const observations = [5, 4, 3, 2, 1].map((hoursAgo) => ({ timestamp: now - hoursAgo * 3600, price: 2n * 10n ** 18n }));
+    chain.state.priceHistory.set(WETH.address.toLowerCase(), observations);
+    chain.state.twaps.set(WETH.address.toLowerCase(), [2n * 10n ** 18n, true]);
+
+    const res = await request(app).get(`/tokens/${WETH.address}/twap`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ twap: { formatted: '2.0' }, valid: true, invalidReason: null, minObservations: 5 });
+    expect(res.body.observations).toHaveLength(5);
+    expect(res.body.observations[0]).toEqual({ timestamp: now - 5 * 3600, price: { raw: '2000000000000000000', formatted: '2.0' }, inWindow: true });
+  });
+
+  test('GET /tokens/:address/twap should read everything in one Multicall3 batch at the block it reports', async () => {
+    chain.state.multicall = true;
+    chain.state.twaps.set(WETH.address.toLowerCase(), [2n * 10n ** 18n, true]);
+    const call = jest.spyOn(chain.provider, 'call');
+
+    const res = await request(app).get(`/tokens/${WETH.address}/twap`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ minObservations: 5, blockNumber: 100, blockTimestamp: 1727000000 + 100 * 12 });
+    const batches = call.mock.calls.filter(([request]) => request.to === MULTICALL3_ADDRESS);
+    expect(batches).toHaveLength(1);
+    expect(batches[0][0].blockTag).toBe(100);
+  });
+
+  test('GET /tokens/:address/twap should explain an invalid TWAP', async () => {
+    const now = 1727000000 + 100 * 12;
+    chain.state.priceHistory.set(USDC.address.toLowerCase(), [{ timestamp: now - 60, price: 1n }]);
+    const few = await request(app).get(`/tokens/${USDC.address}/twap`);
+    expect(few.body.valid).toBe(false);
+    expect(few.body.invalidReason.code).toBe('INSUFFICIENT_OBSERVATIONS');
+    expect(few.body.invalidReason.message).toMatch(/1 of the 5/);
+
+    const old = Array.from({ length: 5 }, (_, i) => ({ timestamp: now - 3 * 86400 + i, price: 1n }));
+    chain.state.priceHistory.set(USDC.address.toLowerCase(), old);
+    const stale = await request(app).get(`/tokens/${USDC.address}/twap`);
+    expect(stale.body.invalidReason.code).toBe('STALE_OBSERVATIONS');
+    expect(stale.body.observations.every((observation) => !observation.inWindow)).toBe(true);
+
+    const unsupported = await request(app).get(`/tokens/${DAI.address}/twap`);
+    expect(unsupported.statusCode).toBe(400);
+    expect(unsupported.body.code).toBe('UNSUPPORTED_TOKEN');
+  });
+
+  test('GET /pairs/:from/:to/candles should aggregate swaps in both directions', async () => {
+    await chain.swapper.swap(WETH.address, USDC.address, 10n ** 18n, 0n);
+    await chain.swapper.swap(USDC.address, WETH.address, 3000n * 10n ** 6n, 0n);
+    await app.locals.indexer.sync();
+    await chain.swapper.swap(WETH.address, USDC.address, 10n ** 18n, 0n);
+    await app.locals.indexer.sync();
+
+    const res = await request(app).get(`/pairs/${WETH.address}/${USDC.address}/candles`).query({ interval: '1m' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.candles).toHaveLength(1);
+    const [candle] = res.body.candles;
+    expect(candle).toMatchObject({ time: 1727001180, open: '2961.474103', trades: 3 });
+    expect(Number(candle.high)).toBeGreaterThanOrEqual(Number(candle.close));
+    expect(Number(candle.low)).toBeLessThanOrEqual(Number(candle.open));
+
+    const inverted = await request(app).get(`/pairs/${USDC.address}/${WETH.address}/candles`).query({ interval: '1m' });
+    const [mirror] = inverted.body.candles;
+    expect(mirror.volume).toEqual({ from: candle.volume.to, to: candle.volume.from });
+    expect(Number(mirror.high)).toBeCloseTo(1 / Number(candle.low), 12);
+
+    // The last swap is dropped by a reorg and the candle rebuilt without it
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    chain.reorg(1);
+    await app.locals.indexer.sync();
+    const rebuilt = await request(app).get(`/pairs/${WETH.address}/${USDC.address}/candles`).query({ interval: '1m' });
+    expect(rebuilt.body.candles[0].trades).toBe(2);
+
+    const invalid = await request(app).get(`/pairs/${WETH.address}/${USDC.address}/candles`).query({ interval: '2m' });
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  test('GET /events/stream should replay missed events and push new ones for the chosen tokens', async () => {
+    await chain.swapper.swap(WETH.address, USDC.address, 10n ** 18n, 0n);
+    chain.emit('FeeUpdated', [5n]);
+    await app.locals.indexer.sync();
+
+    const stream = await openStream(app, `/events/stream?tokens=${USDC.address}`, { 'Last-Event-ID': '101-2' });
+    try {
+      expect(stream.res.headers['content-type']).toBe('text/event-stream');
+      await waitFor(() => stream.read().includes('event: fee'));
+      expect(stream.read()).toContain('id: 102-0\nevent: fee\n');
+      expect(stream.read()).not.toContain('event: swap');
+
+      chain.emit('LiquidityAdded', [DAI.address, 1n]);
+      chain.emit('LiquidityAdded', [USDC.address, 2n]);
+      await app.locals.indexer.sync();
+      await waitFor(() => stream.read().includes('event: reserves'));
+
+      const reserves = stream.read().split('\n\n').filter((message) => message.includes('event: reserves'));
+      expect(reserves).toHaveLength(1);
+      expect(reserves[0]).toContain('id: 104-0');
+      expect(JSON.parse(reserves[0].split('data: ')[1]).args).toEqual({ token: USDC.address, amount: '2' });
+    } finally {
+      stream.close();
+    }
+  });
+
+  test('GET /events/stream should reject malformed subscriptions', async () => {
+    const res = await request(app).get('/events/stream').query({ tokens: `${USDC.address},0x12`, lastEventId: 'abc' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details.fields.map((error) => error.field)).toEqual(['tokens', 'lastEventId']);
+  });
+
+  test('POST /auth/verify should open a session for a signed EIP-4361 message', async () => {
+    const res = await signIn(app, operator);
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ address: operator.address, roles: ['operator'] });
+    const auth = { Authorization: `Bearer ${res.body.token}` };
+
+    const session = await request(app).get('/auth/session').set(auth);
+    expect(session.body).toEqual({ address: operator.address, roles: ['operator'] });
+
+    const logout = await request(app).post('/auth/logout').set(auth);
+    expect(logout.statusCode).toBe(204);
+    expect((await request(app).get('/auth/session').set(auth)).statusCode).toBe(401);
+  });
+
+  test('POST /auth/verify should reject replayed nonces, other domains and forged signatures', async () => {
+    const { body: { nonce } } = await request(app).get('/auth/nonce');
+    const message = siweMessage({ address: operator.address, nonce });
+    const signature = await operator.signMessage(message);
+    expect((await request(app).post('/auth/verify').send({ message, signature })).statusCode).toBe(201);
+    const replay = await request(app).post('/auth/verify').send({ message, signature });
+    expect(replay.body.code).toBe('INVALID_NONCE');
+
+    expect((await signIn(app, operator, { domain: 'evil.example' })).body.code).toBe('SIWE_DOMAIN_MISMATCH');
+    expect((await signIn(app, operator, { chainId: 1 })).body.code).toBe('SIWE_CHAIN_MISMATCH');
+    expect((await signIn(app, operator, { expirationTime: '2020-01-01T00:00:00Z' })).body.code).toBe('SIWE_EXPIRED');
+
+    const { body: { nonce: other } } = await request(app).get('/auth/nonce');
+    const forged = siweMessage({ address: BACKEND_ADDRESS, nonce: other });
+    const res = await request(app).post('/auth/verify').send({ message: forged, signature: await operator.signMessage(forged) });
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('INVALID_SIGNATURE');
+
+    const malformed = await request(app).post('/auth/verify').send({ message: 'hello', signature });
+    expect(malformed.body.code).toBe('INVALID_SIWE_MESSAGE');
+  });
+
+  test('POST /auth/verify should only accept the configured domain, whatever the request headers', async () => {
+    const { body: { nonce } } = await request(app).get('/auth/nonce').set('Origin', 'https://evil.example');
+    const message = siweMessage({ address: operator.address, nonce, domain: 'evil.example' });
     const res = await request(app)
+      .post('/auth/verify')
+      .set('Origin', 'https://evil.example')
+      .send({ message, signature: await operator.signMessage(message) });
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('SIWE_DOMAIN_MISMATCH');
+
+    const unconfigured = createApp({ provider: chain.provider, swapper: chain.swapper, config: { swapperAddress: SWAPPER_ADDRESS } });
+    const nonceRes = await request(unconfigured).get('/auth/nonce').set('Origin', 'https://swap.example');
+    expect(nonceRes.statusCode).toBe(503);
+    expect(nonceRes.body.code).toBe('SIWE_DISABLED');
+  });
+
+  test('POST /swap should require an operator session or an admin token', async () => {
+    const body = { fromToken: WETH.address, toToken: USDC.address, amount: '1' };
+    const anonymous = await request(app).post('/swap').send(body);
+    expect(anonymous.statusCode).toBe(401);
+
+    const stranger = await signIn(app, ethers.Wallet.createRandom());
+    expect(stranger.body.roles).toEqual([]);
+    const forbidden = await request(app).post('/swap').set('Authorization', `Bearer ${stranger.body.token}`).send(body);
+    expect(forbidden.statusCode).toBe(403);
+
+    const { body: { token } } = await signIn(app, operator);
+    const queued = await request(app).post('/swap').set('Authorization', `Bearer ${token}`).send(body);
+    expect(queued.statusCode).toBe(202);
+    expect(queued.body.request.requester).toMatchObject({ type: 'siwe', address: operator.address });
+  });
+
+  describe('API keys', () => {
+    const issue = (fields) => request(app).post('/admin/api-keys').set(adminAuth).send(fields);
+    const quote = { fromToken: WETH.address, toToken: USDC.address, amountIn: '1' };
+
+    test('should be issued with a scope, stored hashed and revocable', async () => {
+      const trade = await issue({ name: 'trading-bot', scope: 'trade' });
+      expect(trade.statusCode).toBe(201);
+      expect(trade.body).toMatchObject({ name: 'trading-bot', scope: 'trade', rateLimit: 600, revokedAt: null });
+      expect(trade.body.key).toMatch(/^swk_[0-9a-f]{16}\./);
+      const readOnly = await issue({ name: 'dashboard', scope: 'read-only' });
+
+      const body = { fromToken: WETH.address, toToken: USDC.address, amount: '1' };
+      expect((await request(app).post('/swap').set('X-API-Key', trade.body.key).send(body)).statusCode).toBe(202);
+      const forbidden = await request(app).post('/swap').set('X-API-Key', readOnly.body.key).send(body);
+      expect(forbidden.statusCode).toBe(403);
+
+      const list = await request(app).get('/admin/api-keys').set(adminAuth);
+      expect(list.body.keys.map((key) => key.name)).toEqual(['trading-bot', 'dashboard']);
+      expect(list.body.keys[0]).not.toHaveProperty('secretHash');
+      expect(list.body.keys[0]).not.toHaveProperty('key');
+
+      await request(app).delete(`/admin/api-keys/${trade.body.id}`).set(adminAuth).expect(200);
+      const revoked = await request(app).get('/quote').query(quote).set('X-API-Key', trade.body.key);
+      expect(revoked.statusCode).toBe(401);
+      expect(revoked.body.code).toBe('INVALID_API_KEY');
+
+      expect((await issue({ name: 'x', scope: 'root' })).body.details.fields).toEqual([
+        { field: 'scope', message: 'must be one of read-only, trade, admin' }
+      ]);
+    });
+
+    test('should rate limit per key and per IP with Retry-After', async () => {
+      const { body: { key } } = await issue({ name: 'quoter', scope: 'read-only', rateLimit: 2 });
+      await request(app).get('/quote').query(quote).set('X-API-Key', key).expect(200);
+      await request(app).get('/quote').query(quote).set('X-API-Key', key).expect(200);
+      const limited = await request(app).get('/quote').query(quote).set('X-API-Key', key);
+      expect(limited.statusCode).toBe(429);
+      expect(limited.body.code).toBe('RATE_LIMITED');
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+      // Anonymous requests from the same IP are not charged to the key
+      await request(app).get('/quote').query(quote).expect(200);
+
+      const strict = createApp({
+        provider: chain.provider,
+        swapper: chain.swapper,
+        config: { swapperAddress: SWAPPER_ADDRESS, rateLimitPerIp: 1 }
+      });
+      await request(strict).get('/').expect(200);
+      const res = await request(strict).get('/');
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['retry-after']).toBeDefined();
+    });
+
+    test('should let a key use its whole quota from one IP', async () => {
+      const strict = createApp({
+        provider: chain.provider,
+        swapper: chain.swapper,
+        config: { swapperAddress: SWAPPER_ADDRESS, rateLimitPerIp: 2, adminTokens: [{ name: 'ops', token: ADMIN_TOKEN }] }
+      });
+      const { body: { key } } = await request(strict)
+        .post('/admin/api-keys')
+        .set(adminAuth)
+        .send({ name: 'bot', scope: 'read-only', rateLimit: 4 });
+      for (let i = 0; i < 4; i++) {
+        const res = await request(strict).get('/').set('X-API-Key', key).expect(200);
+        expect(res.headers['ratelimit-limit']).toBe('4');
+      }
+      expect((await request(strict).get('/').set('X-API-Key', key)).statusCode).toBe(429);
+
+      // Key requests were not charged to the IP, which still has one request left after the admin call
+      await request(strict).get('/').expect(200);
+      expect((await request(strict).get('/')).statusCode).toBe(429);
+    });
+
+    test('should rate limit guesses of an API key by IP before looking the key up', async () => {
+      const strict = createApp({
+        provider: chain.provider,
+        swapper: chain.swapper,
+        config: { swapperAddress: SWAPPER_ADDRESS, rateLimitPerIp: 2 }
+      });
+      const guess = () => request(strict).get('/quote').query(quote).set('X-API-Key', `swk_${'0'.repeat(16)}.guess`);
+      expect((await guess()).statusCode).toBe(401);
+      expect((await guess()).statusCode).toBe(401);
+      const limited = await guess();
+      expect(limited.statusCode).toBe(429);
+      expect(limited.body.code).toBe('RATE_LIMITED');
+    });
+
+    test('should read client IPs from X-Forwarded-For only when trust proxy is set', async () => {
+      const behindProxy = (trustProxy) => createApp({
+        provider: chain.provider,
+        swapper: chain.swapper,
+        config: { swapperAddress: SWAPPER_ADDRESS, rateLimitPerIp: 1, trustProxy }
+      });
+      const proxied = behindProxy(1);
+      await request(proxied).get('/').set('X-Forwarded-For', '203.0.113.1').expect(200);
+      await request(proxied).get('/').set('X-Forwarded-For', '203.0.113.2').expect(200);
+
+      const direct = behindProxy(false);
+      await request(direct).get('/').set('X-Forwarded-For', '203.0.113.1').expect(200);
+      await request(direct).get('/').set('X-Forwarded-For', '203.0.113.2').expect(429);
+    });
+
+    test('should report usage and RPC calls per key', async () => {
+      const { body: { id, key } } = await issue({ name: 'pricing-service', scope: 'read-only' });
+      await request(app).get('/quote').query(quote).set('X-API-Key', key).expect(200);
+      await request(app).get(`/pool/${WETH.address}`).set('X-API-Key', key).expect(200);
+
+      const res = await request(app).get('/admin/usage').set(adminAuth);
+      const usage = res.body.keys.find((entry) => entry.id === id);
+      expect(usage).toMatchObject({
+        name: 'pricing-service',
+        requests: 2,
+        rateLimited: 0,
+        routes: { 'GET /quote': 1, 'GET /pool/:token': 1 }
+      });
+      expect(usage.rpcCalls).toBeGreaterThan(0);
+      expect(res.body.ips[0].requests).toBeGreaterThanOrEqual(3);
+    });
+  });
+
+  describe('admin routes', () => {
+    test('should require an admin token or an owner session', async () => {
+      const missing = await request(app).post('/admin/pause');
+      expect(missing.statusCode).toBe(401);
+      expect(missing.headers['www-authenticate']).toBe('Bearer');
+
+      const wrong = await request(app).post('/admin/pause').set('Authorization', `Bearer ${'b'.repeat(40)}`);
+      expect(wrong.body.code).toBe('UNAUTHORIZED');
+
+      const { body: { token } } = await signIn(app, operator);
+      const notOwner = await request(app).post('/admin/pause').set('Authorization', `Bearer ${token}`);
+      expect(notOwner.statusCode).toBe(403);
+      expect(notOwner.body).toMatchObject({ code: 'FORBIDDEN', details: { required: ['admin', 'owner'], held: ['operator'] } });
+      expect(chain.state.paused).toBe(false);
+    });
+
+    test('should send owner operations and audit their outcome', async () => {
+      const fee = await request(app).put('/admin/fee').set(adminAuth).send({ feeNumerator: 10 });
+      expect(fee.statusCode).toBe(202);
+      expect(fee.body).toMatchObject({
+        action: 'setFee',
+        params: { feeNumerator: 10 },
+        requester: { type: 'admin-token', name: 'ops' },
+        status: 'submitted',
+        transactionHash: expect.stringMatching(/^0x[0-9a-f]{64}$/)
+      });
+      expect(chain.state.feeNumerator).toBe(10n);
+
+      const withdraw = await request(app).post('/admin/withdraw').set(adminAuth).send({ token: USDC.address, amount: '1000' });
+      expect(withdraw.body.params).toEqual({ token: USDC.address, amount: '1000000000' });
+      await flush();
+
+      const res = await request(app).get('/admin/audit').set(adminAuth);
+      expect(res.body.entries.map((entry) => [entry.action, entry.status])).toEqual([
+        ['withdrawToken', 'mined'],
+        ['withdrawToken', 'submitted'],
+        ['setFee', 'mined'],
+        ['setFee', 'submitted']
+      ]);
+      expect(res.body.entries[0].id).toBe(withdraw.body.id);
+
+      // withdrawToken emits no Swapper event, so nothing is indexed for it
+      await app.locals.indexer.sync();
+      expect(app.locals.indexer.events().map((event) => event.event)).not.toContain('LiquidityRemoved');
+    });
+
+    test('should refuse to send when the signer is not the owner', async () => {
+      chain.state.owner = DAI.address;
+      const status = await request(app).get('/admin/status').set(adminAuth);
+      expect(status.body).toEqual({ owner: DAI.address, signer: BACKEND_ADDRESS, isOwner: false });
+
+      const res = await request(app).post('/admin/pause').set(adminAuth);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('SIGNER_NOT_OWNER');
+      expect(chain.state.paused).toBe(false);
+
+      const audit = await request(app).get('/admin/audit').set(adminAuth);
+      expect(audit.body.entries).toEqual([expect.objectContaining({ action: 'pause', status: 'rejected', errorCode: 'SIGNER_NOT_OWNER' })]);
+    });
+
+    test('should decode owner function reverts and validate parameters', async () => {
+      const exists = await request(app).post('/admin/tokens').set(adminAuth).send({ token: WETH.address });
+      expect(exists.statusCode).toBe(409);
+      expect(exists.body.code).toBe('TOKEN_ALREADY_SUPPORTED');
+
+      const fee = await request(app).put('/admin/fee').set(adminAuth).send({ feeNumerator: 51 });
+      expect(fee.statusCode).toBe(400);
+      expect(fee.body.details.fields).toEqual([{ field: 'feeNumerator', message: 'must be between 0 and 50' }]);
+    });
+  });
+
+  test('POST /swap/build should return approve and swap transactions', async () => {
+    const res = await request(app)
+      .post('/swap/build')
+      .send({ userAddress: BACKEND_ADDRESS, fromToken: WETH.address, toToken: USDC.address, amount: '1' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.transactions.map((tx) => tx.type)).toEqual(['approve', 'swap']);
+    expect(res.body.transactions[1]).toMatchObject({ to: SWAPPER_ADDRESS, chainId: '31337', gasLimit: '120000' });
+  });
+
+  test('POST /swap/build should skip the approve when the allowance covers the amount', async () => {
+    chain.state.allowances.set(`${WETH.address.toLowerCase()}:${operator.address.toLowerCase()}`, 10n ** 18n);
+    const res = await request(app)
+      .post('/swap/build')
+      .send({ userAddress: operator.address, fromToken: WETH.address, toToken: USDC.address, amount: '1', minAmountOut: '2900' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ userAddress: operator.address, slippageBps: null, minAmountOut: { raw: '2900000000' } });
+    expect(res.body.transactions).toHaveLength(1);
+
+    const [swap] = res.body.transactions;
+    expect(swap).toMatchObject({ type: 'swap', from: operator.address, value: '0', gasEstimated: true });
+    const { name, args } = swapperInterface.parseTransaction({ data: swap.data });
+    expect(name).toBe('swap');
+    expect([...args]).toEqual([WETH.address, USDC.address, 10n ** 18n, 2900000000n]);
+  });
+
+  test('POST /swap/build should fall back to a fixed gas limit for a swap waiting on its approve', async () => {
+    // Without the allowance the swap cannot be simulated yet
+    jest.spyOn(chain.provider, 'estimateGas').mockImplementation(async ({ to }) => {
+      if (to === SWAPPER_ADDRESS) throw revertError('InsufficientUserBalance');
+      return 46000n;
+    });
+    const res = await request(app)
+      .post('/swap/build')
+      .send({ userAddress: operator.address, fromToken: WETH.address, toToken: USDC.address, amount: '1' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.transactions.map((tx) => [tx.type, tx.gasLimit, tx.gasEstimated])).toEqual([
+      ['approve', '46000', true],
+      ['swap', '300000', false]
+    ]);
+  });
+
+  test('POST /swap/build should report a swap that would revert once no approve is pending', async () => {
+    chain.state.allowances.set(`${WETH.address.toLowerCase()}:${operator.address.toLowerCase()}`, 10n ** 18n);
+    jest.spyOn(chain.provider, 'estimateGas').mockRejectedValue(revertError('SlippageExceeded'));
+    const res = await request(app)
+      .post('/swap/build')
+      .send({ userAddress: operator.address, fromToken: WETH.address, toToken: USDC.address, amount: '1', minAmountOut: '5000' });
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toMatchObject({ code: 'SLIPPAGE_EXCEEDED', details: { revert: 'SlippageExceeded' } });
+  });
+
+  test('POST /swap/build should require a valid user address', async () => {
+    const res = await request(app)
+      .post('/swap/build')
+      .send({ userAddress: '0x123...', fromToken: WETH.address, toToken: USDC.address, amount: '1' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details.fields.map((error) => error.field)).toEqual(['userAddress']);
+  });
+
+  test('POST /swap should decode UnsupportedToken reverts', async () => {
+    const queued = await request(app)
       .post('/swap')
-      .send(swapData);
+      .set(adminAuth)
+      .send({ fromToken: WETH.address, toToken: DAI.address, amount: '1', minAmountOutRaw: '1' });
+    expect(queued.statusCode).toBe(202);
+
+    await flush();
+    const status = await request(app).get(`/swaps/${queued.body.jobId}`);
+    expect(status.body.status).toBe('failed');
+    expect(status.body.errorCode).toBe('UNSUPPORTED_TOKEN');
+  });
+
+  test('GET /swap-rate should point to /quote', async () => {
+    const res = await request(app).get('/swap-rate');
+    expect(res.statusCode).toBe(501);
+    expect(res.body.code).toBe('NOT_IMPLEMENTED');
+  });
+
+  test('GET /latest-block should return the latest block', async () => {
+    const res = await request(app).get('/latest-block');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('number', 100);
+  });
+
+  test('GET /deployment should describe the broadcast Swapper deployment', async () => {
+    const res = await request(app).get('/deployment');
     expect(res.statusCode).toBe(200);
-    expect(res.body).toHaveProperty('message', 'Swap request received');
-    expect(res.body).toHaveProperty('fromToken', swapData.fromToken);
-    expect(res.body).toHaveProperty('toToken', swapData.toToken);
-    expect(res.body).toHaveProperty('amount', swapData.amount);
-    expect(res.body).toHaveProperty('status', 'pending');
+    expect(res.body).toMatchObject({
+      chainId: 11155111,
+      address: SWAPPER_ADDRESS,
+      transactionHash: '0x9f26dc679306544667d8f3744a06279bbe23369e26245769bf65de4fb2fe2e23',
+      blockNumber: 6749320,
+      owner: BACKEND_ADDRESS
+    });
+  });
+
+  test('unknown routes should return 404', async () => {
+    const res = await request(app).get('/does-not-exist');
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: 'Not Found', code: 'NOT_FOUND' });
   });
-});
\ No newline at end of file
+});
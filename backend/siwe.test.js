@@ -0,0 +1,72 @@
+// File: siwe.test.js
+
+const { ethers } = require('ethers');
+const { NONCE_TTL_MS, createSiweService } = require('./src/services/siwe');
+const { createJsonStore } = require('./src/storage/jsonStore');
+
+const DOMAIN = 'swap.example';
+
+/**
+ * Build the EIP-4361 message a wallet would sign for a nonce
+ * @param {string} address - Signing address
+ * @param {string} nonce - Nonce issued by the service
+ * @returns {string} The message
+ */
+const siweMessage = (address, nonce) => [
+  `${DOMAIN} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  `URI: https://${DOMAIN}`,
+  'Version: 1',
+  'Chain ID: 31337',
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date().toISOString()}`
+].join('\n');
+
+describe('SIWE sessions', () => {
+  const provider = { getNetwork: async () => ({ chainId: 31337n }) };
+  const wallet = ethers.Wallet.createRandom();
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+    store = createJsonStore(null);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const signIn = async (siwe, nonce) => {
+    const message = siweMessage(wallet.address, nonce);
+    return siwe.verify(message, await wallet.signMessage(message), DOMAIN);
+  };
+
+  test('keeps at most maxNonces outstanding, forgetting the oldest', async () => {
+    const siwe = createSiweService({ store, provider, maxNonces: 2 });
+    const first = siwe.issueNonce().nonce;
+    const second = siwe.issueNonce().nonce;
+    siwe.issueNonce();
+
+    await expect(signIn(siwe, first)).rejects.toMatchObject({ code: 'INVALID_NONCE' });
+    await expect(signIn(siwe, second)).resolves.toMatchObject({ address: wallet.address });
+  });
+
+  test('sweeps expired nonces and sessions on a timer until stopped', async () => {
+    const siwe = createSiweService({ store, provider, sessionTtlMs: 5 * 60 * 1000 });
+    const session = await signIn(siwe, siwe.issueNonce().nonce);
+    const unused = siwe.issueNonce().nonce;
+    siwe.start({ intervalMs: 60 * 1000 });
+    expect(store.values()).toHaveLength(1);
+
+    // The session expires first, the nonce later; neither is presented again
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(store.values()).toEqual([]);
+    jest.advanceTimersByTime(NONCE_TTL_MS);
+    await expect(signIn(siwe, unused)).rejects.toMatchObject({ code: 'INVALID_NONCE' });
+    expect(siwe.authenticate(session.token)).toBeNull();
+
+    siwe.stop();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
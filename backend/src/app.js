@@ -0,0 +1,196 @@
+/**
+ * ERC-20 Swap API application factory
+ *
+ * Builds the Express app from injected dependencies so it can run against a
+ * live RPC, a local Anvil chain or an in-memory fake of the Swapper contract.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const { getSwapperContract } = require('./contracts/swapper');
+const { createMulticallReader } = require('./contracts/multicall');
+const { createTokenMetadataService } = require('./services/tokenMetadata');
+const { createSwapJobService } = require('./services/swapJobs');
+const { createEventIndexer } = require('./services/eventIndexer');
+const { createSwapHistoryService } = require('./services/swapHistory');
+const { createAccountActivityService } = require('./services/accountActivity');
+const { createTokenRegistryService } = require('./services/tokenRegistry');
+const { createPoolStateService } = require('./services/poolState');
+const { createTwapService } = require('./services/twap');
+const { createCandleService } = require('./services/candles');
+const { createEventStreamService } = require('./services/eventStream');
+const { createAdminService } = require('./services/adminOperations');
+const { createSiweService } = require('./services/siwe');
+const { createApiKeyService } = require('./services/apiKeys');
+const { createUsageTracker } = require('./services/usage');
+const { createAuth } = require('./auth');
+const { DEFAULT_IP_RATE_LIMIT, createRateLimiter, ipRateLimit, keyRateLimit } = require('./rateLimit');
+const { createJsonStore } = require('./storage/jsonStore');
+const { createJournalStore } = require('./storage/journalStore');
+const { createAuditLog } = require('./storage/auditLog');
+const { errorHandler } = require('./errors');
+const { createSwapRouter } = require('./routes/swaps');
+const { createQuoteRouter } = require('./routes/quotes');
+const { createChainRouter } = require('./routes/chain');
+const { createAccountRouter } = require('./routes/accounts');
+const { createTokenRouter } = require('./routes/tokens');
+const { createPoolRouter } = require('./routes/pool');
+const { createPairRouter } = require('./routes/pairs');
+const { createEventRouter } = require('./routes/events');
+const { createAdminRouter } = require('./routes/admin');
+const { createAuthRouter } = require('./routes/auth');
+const { createApiKeyRouter } = require('./routes/apiKeys');
+
+/**
+ * Create the API application
+ * @param {Object} deps
+ * @param {ethers.Provider} deps.provider - Provider for chain reads
+ * @param {ethers.Signer} [deps.signer] - Backend signer used for POST /swap
+ * @param {ethers.Signer} [deps.ownerSigner] - Swapper owner used by /admin (defaults to the backend signer)
+ * @param {ethers.Contract|Object} [deps.swapper] - Swapper contract (or a fake with the same methods);
+ *   built from config.swapperAddress and the signer when omitted
+ * @param {Object} deps.config
+ * @param {string} [deps.config.swapperAddress] - Address of the deployed Swapper contract
+ * @param {string|null} [deps.config.swapJobsFile] - File backing the swap job store (null keeps it in memory)
+ * @param {Object|null} [deps.config.deployment] - Swapper deployment from the broadcast registry
+ * @param {number} [deps.config.deploymentBlock] - Block the event indexer starts from
+ * @param {number} [deps.config.finalityDepth] - Confirmations after which indexed events are final
+ * @param {string|null} [deps.config.eventsFile] - File backing the indexed event store (null keeps it in memory)
+ * @param {string|null} [deps.config.indexerStateFile] - File backing the indexer checkpoint (null keeps it in memory)
+ * @param {Array<Object>} [deps.config.adminTokens] - Named admin bearer tokens
+ * @param {string[]} [deps.config.operators] - Addresses allowed to use POST /swap besides the owner
+ * @param {string|null} [deps.config.siweDomain] - Domain sign-in messages must name (sign-in is disabled without it)
+ * @param {string|null} [deps.config.sessionsFile] - File backing the SIWE session store (null keeps it in memory)
+ * @param {string|null} [deps.config.apiKeysFile] - File backing the API key store (null keeps it in memory)
+ * @param {boolean|number|string} [deps.config.trustProxy] - Express `trust proxy` setting, for client IPs behind a proxy
+ * @param {number} [deps.config.rateLimitPerIp] - Requests per minute allowed from one IP (0 disables the IP limit)
+ * @param {string|null} [deps.config.auditLogFile] - File of the admin audit log (null keeps it in memory)
+ * @returns {express.Application} The app; its services are exposed on `app.locals`
+ */
+function createApp({ provider, signer, ownerSigner = signer, swapper, config = {} }) {
+  // Before anything uses the provider, so every RPC call is counted
+  const usage = createUsageTracker();
+  usage.instrument(provider);
+
+  const swapperContract = swapper || getSwapperContract(config.swapperAddress, signer || provider);
+  const tokenMetadata = createTokenMetadataService(provider);
+  const swapJobs = createSwapJobService({
+    store: createJsonStore(config.swapJobsFile || null),
+    swapperContract,
+    provider,
+    signer
+  });
+  const indexer = createEventIndexer({
+    provider,
+    store: createJournalStore(config.eventsFile || null),
+    checkpoints: createJsonStore(config.indexerStateFile || null),
+    address: config.swapperAddress,
+    fromBlock: config.deploymentBlock || 0,
+    finalityDepth: config.finalityDepth
+  });
+  const swapHistory = createSwapHistoryService({ indexer, tokenMetadata });
+  const accountActivity = createAccountActivityService({ indexer, tokenMetadata });
+  const tokenRegistry = createTokenRegistryService({ indexer, swapperContract, tokenMetadata });
+  const multicall = createMulticallReader(provider);
+  const poolState = createPoolStateService({ swapperContract, multicall, tokenMetadata, tokenRegistry });
+  const twapService = createTwapService({ provider, swapperContract, multicall });
+  const candles = createCandleService({ indexer, tokenMetadata });
+  const eventStream = createEventStreamService({ indexer });
+  const adminOperations = createAdminService({
+    // An ethers Contract is re-bound to the owner; an injected fake is used as is
+    swapperContract: ownerSigner && typeof swapperContract.connect === 'function'
+      ? swapperContract.connect(ownerSigner)
+      : swapperContract,
+    ownerSigner: ownerSigner || null,
+    provider,
+    auditLog: createAuditLog(config.auditLogFile || null)
+  });
+  const siwe = createSiweService({ store: createJsonStore(config.sessionsFile || null), provider });
+  const apiKeys = createApiKeyService({ store: createJsonStore(config.apiKeysFile || null) });
+  const auth = createAuth({
+    siwe,
+    apiKeys,
+    swapperContract,
+    adminTokens: config.adminTokens,
+    operators: config.operators
+  });
+
+  const app = express();
+  app.locals.swapJobs = swapJobs;
+  app.locals.indexer = indexer;
+  app.locals.adminOperations = adminOperations;
+  app.locals.siwe = siwe;
+  app.locals.tokenMetadata = tokenMetadata;
+
+  if (config.trustProxy) {
+    app.set('trust proxy', config.trustProxy);
+  }
+
+  // Middleware: the IP limit comes before credentials are looked up, so bad ones are limited too
+  const limiter = createRateLimiter();
+  app.use(cors());
+  app.use(express.json());
+  app.use(usage.middleware());
+  app.use(ipRateLimit({
+    limiter,
+    perIp: config.rateLimitPerIp === undefined ? DEFAULT_IP_RATE_LIMIT : config.rateLimitPerIp
+  }));
+  app.use(auth.identify());
+  app.use(keyRateLimit({ limiter }));
+
+  // Routes
+
+  /**
+   * GET /
+   * Welcome message for the API
+   */
+  app.get('/', (req, res) => {
+    res.json({ message: 'Welcome to the ERC-20 Swap API' });
+  });
+
+  const deps = {
+    provider,
+    swapperContract,
+    tokenMetadata,
+    swapJobs,
+    indexer,
+    swapHistory,
+    accountActivity,
+    tokenRegistry,
+    poolState,
+    twapService,
+    candles,
+    eventStream,
+    adminOperations,
+    siwe,
+    apiKeys,
+    usage,
+    auth,
+    config
+  };
+  app.use(createAuthRouter(deps));
+  app.use(createSwapRouter(deps));
+  app.use(createQuoteRouter(deps));
+  app.use(createChainRouter(deps));
+  app.use(createAccountRouter(deps));
+  app.use(createTokenRouter(deps));
+  app.use(createPoolRouter(deps));
+  app.use(createPairRouter(deps));
+  app.use(createEventRouter(deps));
+  app.use(createAdminRouter(deps));
+  app.use(createApiKeyRouter(deps));
+
+  // Catch-all route for undefined routes
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not Found', code: 'NOT_FOUND' });
+  });
+
+  // Errors from every route, mapped to status codes and stable error codes
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
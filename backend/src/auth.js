@@ -0,0 +1,139 @@
+/**
+ * Request authentication
+ *
+ * Callers authenticate with a bearer token, either a SIWE session token (see
+ * services/siwe) or one of the named admin tokens from ADMIN_TOKENS, or with
+ * an API key in the X-API-Key header (see services/apiKeys). The identify
+ * middleware resolves it to `req.requester`; routes then require a session
+ * or a role:
+ *
+ *   admin     an admin token or an admin-scoped API key
+ *   owner     a session of the current Swapper owner()
+ *   operator  a session of an OPERATOR_ADDRESSES wallet or of the owner, or a
+ *             trade-scoped API key
+ *
+ * A missing or unknown token answers 401, a valid one without the role 403.
+ * An unknown or revoked API key is refused outright rather than treated as
+ * anonymous, so a misconfigured service notices.
+ */
+
+const crypto = require('crypto');
+const { ApiError, asyncHandler } = require('./errors');
+const { API_KEY_SCOPES } = require('./services/apiKeys');
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean} Whether they are equal
+ */
+function secretsEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Read the bearer token of a request
+ * @param {express.Request} req - The request
+ * @returns {string|null} The token
+ */
+function bearerToken(req) {
+  const match = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Create the authentication middleware
+ * @param {Object} deps
+ * @param {Object} deps.siwe - SIWE session service
+ * @param {Object} deps.apiKeys - API key service
+ * @param {ethers.Contract} deps.swapperContract - Swapper contract, for owner()
+ * @param {Array<{ name: string, token: string }>} [deps.adminTokens=[]] - Accepted admin tokens
+ * @param {string[]} [deps.operators=[]] - Addresses holding the operator role
+ * @returns {Object} identify, requireSession and requireRole middleware factories
+ */
+function createAuth({ siwe, apiKeys, swapperContract, adminTokens = [], operators = [] }) {
+  const operatorSet = new Set(operators.map((address) => address.toLowerCase()));
+
+  /**
+   * Roles held by a requester
+   * @param {Object} requester - Requester set by identify
+   * @returns {Promise<string[]>} The roles
+   */
+  async function rolesOf(requester) {
+    if (requester.type === 'admin-token') return ['admin'];
+    if (requester.type === 'api-key') return API_KEY_SCOPES[requester.scope];
+    const address = requester.address.toLowerCase();
+    const isOwner = (await swapperContract.owner()).toLowerCase() === address;
+    return [...(isOwner ? ['owner'] : []), ...(isOwner || operatorSet.has(address) ? ['operator'] : [])];
+  }
+
+  const unauthorized = (res, message) => {
+    res.set('WWW-Authenticate', 'Bearer');
+    return new ApiError(401, 'UNAUTHORIZED', message);
+  };
+
+  return {
+    rolesOf,
+
+    /**
+     * Middleware setting `req.requester` from the API key or bearer token, if any
+     * Requests without a valid bearer token go through unidentified.
+     * @returns {Function} Express middleware
+     */
+    identify() {
+      return (req, res, next) => {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+          const key = apiKeys.authenticate(apiKey);
+          if (!key) return next(new ApiError(401, 'INVALID_API_KEY', 'API key is unknown or revoked'));
+          req.requester = { type: 'api-key', id: key.id, name: key.name, scope: key.scope, rateLimit: key.rateLimit, ip: req.ip };
+          return next();
+        }
+
+        const token = bearerToken(req);
+        if (token) {
+          const admin = adminTokens.find((entry) => secretsEqual(entry.token, token));
+          const session = admin ? null : siwe.authenticate(token);
+          if (admin) req.requester = { type: 'admin-token', name: admin.name, ip: req.ip };
+          if (session) req.requester = { type: 'siwe', address: session.address, ip: req.ip };
+          req.sessionToken = session ? token : undefined;
+        }
+        next();
+      };
+    },
+
+    /**
+     * Middleware requiring a SIWE session
+     * @returns {Function} Express middleware
+     */
+    requireSession() {
+      return (req, res, next) => {
+        if (!req.requester || req.requester.type !== 'siwe') {
+          return next(unauthorized(res, 'Sign in with Ethereum to use this route'));
+        }
+        next();
+      };
+    },
+
+    /**
+     * Middleware requiring one of the given roles
+     * @param {...string} roles - Accepted roles: admin, owner or operator
+     * @returns {Function} Express middleware
+     */
+    requireRole(...roles) {
+      return asyncHandler(async (req, res, next) => {
+        if (!req.requester) throw unauthorized(res, 'A session, API key or admin token is required');
+        const held = await rolesOf(req.requester);
+        if (!roles.some((role) => held.includes(role))) {
+          throw new ApiError(403, 'FORBIDDEN', `Requires the ${roles.join(' or ')} role`, { required: roles, held });
+        }
+        next();
+      });
+    }
+  };
+}
+
+module.exports = {
+  createAuth
+};
@@ -0,0 +1,262 @@
+/**
+ * Backend configuration
+ *
+ * Single source of settings for the backend. A named network profile
+ * (NETWORK env var) supplies the RPC endpoint and chainId; the Swapper address
+ * and deployment block come from the Foundry broadcast for that chainId (see
+ * services/deployments). Individual env vars can override either:
+ *
+ *   NETWORK                    anvil | sepolia | mainnet-fork (default: sepolia)
+ *   RPC_URL                    overrides the profile's RPC endpoint
+ *   SWAPPER_ADDRESS            overrides the broadcast Swapper address
+ *   SWAPPER_DEPLOYMENT_BLOCK   overrides the broadcast deployment block
+ *   FINALITY_DEPTH             confirmations after which indexed events are final
+ *   BACKEND_WALLET_PRIVATE_KEY key of the wallet that signs POST /swap
+ *   OWNER_PRIVATE_KEY          key of the Swapper owner used by /admin (default: the backend wallet)
+ *   ADMIN_TOKENS               comma-separated `name:token` pairs accepted as admin bearer tokens
+ *   OPERATOR_ADDRESSES         comma-separated wallets that may use POST /swap besides the owner
+ *   SIWE_DOMAIN                domain of the frontend; sign-in messages must name it (required)
+ *   RATE_LIMIT_PER_IP          requests per minute allowed from one IP, 0 to disable (default: 300)
+ *   TRUST_PROXY                Express `trust proxy` setting: true, a hop count, or addresses/subnets
+ *                              of the reverse proxies whose X-Forwarded-For is believed (default: off)
+ *   PORT                       HTTP port (default: 3000)
+ *   DATA_DIR                   directory for local state (default: backend/data)
+ *
+ * The config is type-checked when loaded and the backend refuses to start if
+ * the RPC endpoint reports a different chainId than the profile.
+ */
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { findDeployment } = require('./services/deployments');
+const { DEFAULT_IP_RATE_LIMIT } = require('./rateLimit');
+
+const NETWORK_PROFILES = {
+  anvil: {
+    rpcUrl: 'http://127.0.0.1:8545',
+    chainId: 31337,
+    finalityDepth: 1
+  },
+  sepolia: {
+    rpcUrl: null,
+    chainId: 11155111,
+    finalityDepth: 12
+  },
+  'mainnet-fork': {
+    // `anvil --fork-url <mainnet rpc>` keeps the mainnet chainId
+    rpcUrl: 'http://127.0.0.1:8545',
+    chainId: 1,
+    finalityDepth: 1
+  }
+};
+
+const DEFAULT_NETWORK = 'sepolia';
+const DEFAULT_PORT = 3000;
+const DEFAULT_DATA_DIR = path.resolve(__dirname, '../data');
+
+// Shortest admin token accepted, so a placeholder cannot end up guarding /admin
+const MIN_ADMIN_TOKEN_LENGTH = 32;
+
+/**
+ * Error raised when the configuration is incomplete or invalid
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - One message per invalid or missing key
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Parse a non-negative integer setting
+ * @param {*} value - Raw value
+ * @returns {number|null} The integer, or null if invalid
+ */
+function parseInteger(value) {
+  const text = String(value);
+  return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * Check a private key setting
+ * @param {string} value - Hex private key, with or without 0x
+ * @returns {boolean} Whether it is a 32-byte hex string
+ */
+function isPrivateKey(value) {
+  return ethers.isHexString(value.startsWith('0x') ? value : `0x${value}`, 32);
+}
+
+/**
+ * Parse the TRUST_PROXY setting into an Express `trust proxy` value
+ * @param {string} [value] - `true`/`false`, a hop count, or comma-separated addresses/subnets
+ * @returns {boolean|number|string} The setting (false when unset)
+ */
+function parseTrustProxy(value) {
+  if (isMissing(value) || value === 'false') return false;
+  if (value === 'true') return true;
+  const hops = parseInteger(value);
+  return hops === null ? value : hops;
+}
+
+/**
+ * Parse the ADMIN_TOKENS setting
+ * @param {string} value - Comma-separated `name:token` pairs
+ * @param {string[]} problems - Receives one message per invalid entry
+ * @returns {Array<{ name: string, token: string }>} The named tokens
+ */
+function parseAdminTokens(value, problems) {
+  if (isMissing(value)) return [];
+  const tokens = [];
+  value.split(',').forEach((item, i) => {
+    const separator = item.indexOf(':');
+    const name = item.slice(0, separator).trim();
+    const token = item.slice(separator + 1).trim();
+    if (separator < 0 || !/^[\w.-]+$/.test(name)) {
+      problems.push(`ADMIN_TOKENS entry ${i + 1} must be name:token`);
+    } else if (token.length < MIN_ADMIN_TOKEN_LENGTH) {
+      problems.push(`ADMIN_TOKENS token "${name}" must be at least ${MIN_ADMIN_TOKEN_LENGTH} characters`);
+    } else if (tokens.some((entry) => entry.name === name)) {
+      problems.push(`ADMIN_TOKENS name "${name}" is used twice`);
+    } else {
+      tokens.push({ name, token });
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} [env=process.env] - Environment variables
+ * @param {Object} [options]
+ * @param {string} [options.broadcastDir] - Broadcast directory to resolve the deployment from
+ * @returns {Object} The validated configuration
+ * @throws {ConfigError} If any key is missing or has the wrong type
+ */
+function loadConfig(env = process.env, { broadcastDir } = {}) {
+  const problems = [];
+  const network = env.NETWORK || DEFAULT_NETWORK;
+  const profile = NETWORK_PROFILES[network];
+  if (!profile) {
+    throw new ConfigError([`NETWORK must be one of ${Object.keys(NETWORK_PROFILES).join(', ')} (got "${network}")`]);
+  }
+
+  const rpcUrl = env.RPC_URL || profile.rpcUrl;
+  if (isMissing(rpcUrl)) {
+    problems.push(`RPC_URL is required for the ${network} network`);
+  } else if (!/^(https?|wss?):\/\/\S+$/.test(rpcUrl)) {
+    problems.push('RPC_URL must be an http(s) or ws(s) URL');
+  }
+
+  const broadcast = findDeployment(profile.chainId, { broadcastDir });
+  let swapperAddress = env.SWAPPER_ADDRESS || (broadcast && broadcast.address);
+  if (isMissing(swapperAddress)) {
+    problems.push(`SWAPPER_ADDRESS is required for the ${network} network (no Swapper broadcast for chainId ${profile.chainId})`);
+  } else {
+    try {
+      swapperAddress = ethers.getAddress(swapperAddress);
+    } catch (error) {
+      problems.push('SWAPPER_ADDRESS must be a valid address');
+    }
+  }
+
+  // The broadcast only describes the configured Swapper if the address was not overridden
+  const overridden = env.SWAPPER_ADDRESS && broadcast
+    && broadcast.address.toLowerCase() !== String(swapperAddress).toLowerCase();
+  const deployment = broadcast && !overridden ? broadcast : null;
+
+  const deploymentBlock = parseInteger(isMissing(env.SWAPPER_DEPLOYMENT_BLOCK)
+    ? (deployment ? deployment.blockNumber : 0)
+    : env.SWAPPER_DEPLOYMENT_BLOCK);
+  if (deploymentBlock === null) problems.push('SWAPPER_DEPLOYMENT_BLOCK must be a non-negative integer');
+
+  const finalityDepth = parseInteger(isMissing(env.FINALITY_DEPTH) ? profile.finalityDepth : env.FINALITY_DEPTH);
+  if (!finalityDepth) problems.push('FINALITY_DEPTH must be a positive integer');
+
+  const privateKey = env.BACKEND_WALLET_PRIVATE_KEY;
+  if (isMissing(privateKey)) {
+    problems.push('BACKEND_WALLET_PRIVATE_KEY is required');
+  } else if (!isPrivateKey(privateKey)) {
+    problems.push('BACKEND_WALLET_PRIVATE_KEY must be a 32-byte hex string');
+  }
+
+  const ownerPrivateKey = isMissing(env.OWNER_PRIVATE_KEY) ? null : env.OWNER_PRIVATE_KEY;
+  if (ownerPrivateKey && !isPrivateKey(ownerPrivateKey)) problems.push('OWNER_PRIVATE_KEY must be a 32-byte hex string');
+
+  const adminTokens = parseAdminTokens(env.ADMIN_TOKENS, problems);
+
+  const operators = [];
+  if (!isMissing(env.OPERATOR_ADDRESSES)) {
+    env.OPERATOR_ADDRESSES.split(',').forEach((item, i) => {
+      try {
+        operators.push(ethers.getAddress(item.trim()));
+      } catch (error) {
+        problems.push(`OPERATOR_ADDRESSES entry ${i + 1} must be a valid address`);
+      }
+    });
+  }
+
+  // Required: taking the domain from the request would let any site that gets a signature use it here
+  const siweDomain = isMissing(env.SIWE_DOMAIN) ? null : env.SIWE_DOMAIN;
+  if (!siweDomain) {
+    problems.push('SIWE_DOMAIN is required');
+  } else if (!/^[\w.-]+(:\d+)?$/.test(siweDomain)) {
+    problems.push('SIWE_DOMAIN must be a host, optionally with a port');
+  }
+
+  const rateLimitPerIp = parseInteger(isMissing(env.RATE_LIMIT_PER_IP) ? DEFAULT_IP_RATE_LIMIT : env.RATE_LIMIT_PER_IP);
+  if (rateLimitPerIp === null) problems.push('RATE_LIMIT_PER_IP must be a non-negative integer');
+
+  const trustProxy = parseTrustProxy(env.TRUST_PROXY);
+
+  const port = parseInteger(isMissing(env.PORT) ? DEFAULT_PORT : env.PORT);
+  if (port === null || port > 65535) problems.push('PORT must be an integer between 0 and 65535');
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  return {
+    network,
+    chainId: profile.chainId,
+    rpcUrl,
+    swapperAddress,
+    deploymentBlock,
+    deployment,
+    finalityDepth,
+    privateKey,
+    ownerPrivateKey,
+    adminTokens,
+    operators,
+    siweDomain,
+    rateLimitPerIp,
+    trustProxy,
+    port,
+    dataDir: env.DATA_DIR ? path.resolve(env.DATA_DIR) : DEFAULT_DATA_DIR
+  };
+}
+
+/**
+ * Check that the RPC endpoint serves the chain the profile expects
+ * @param {ethers.Provider} provider - Provider connected to config.rpcUrl
+ * @param {Object} config - Configuration returned by loadConfig
+ * @throws {ConfigError} On a chainId mismatch
+ */
+async function assertChainId(provider, config) {
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== BigInt(config.chainId)) {
+    throw new ConfigError([
+      `RPC_URL serves chainId ${chainId} but the ${config.network} profile expects ${config.chainId}`
+    ]);
+  }
+}
+
+module.exports = {
+  NETWORK_PROFILES,
+  ConfigError,
+  loadConfig,
+  assertChainId
+};
@@ -0,0 +1,45 @@
+/**
+ * Foundry artifact loader
+ *
+ * Contract ABIs are read from the `out/` directory written by `forge build`
+ * in the smart-contracts project rather than copied into the backend.
+ */
+
+const path = require('path');
+
+// Output directory of `forge build` in the smart-contracts project
+const FOUNDRY_OUT_DIR = path.resolve(__dirname, '../../../smart-contracts/out');
+
+/**
+ * Resolve the path of a Foundry artifact
+ * @param {string} sourceFile - Solidity file name, e.g. 'Swapper.sol'
+ * @param {string} contractName - Contract name inside that file
+ * @returns {string} Absolute path to the JSON artifact
+ */
+function artifactPath(sourceFile, contractName) {
+  return path.join(FOUNDRY_OUT_DIR, sourceFile, `${contractName}.json`);
+}
+
+/**
+ * Load a contract ABI from a Foundry artifact
+ * @param {string} filePath - Path to the Foundry JSON artifact
+ * @returns {Array<Object>} The contract ABI
+ */
+function loadAbi(filePath) {
+  let artifact;
+  try {
+    artifact = require(filePath);
+  } catch (error) {
+    throw new Error(`Unable to load artifact at ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(artifact.abi)) {
+    throw new Error(`Artifact at ${filePath} has no ABI`);
+  }
+  return artifact.abi;
+}
+
+module.exports = {
+  FOUNDRY_OUT_DIR,
+  artifactPath,
+  loadAbi
+};
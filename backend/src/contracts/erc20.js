@@ -0,0 +1,28 @@
+/**
+ * ERC-20 contract binding
+ *
+ * Uses the IERC20Metadata ABI from the Foundry artifacts, which covers the
+ * standard ERC-20 functions plus decimals(), symbol() and name().
+ */
+
+const { ethers } = require('ethers');
+const { artifactPath, loadAbi } = require('./artifacts');
+
+const ERC20_ABI = loadAbi(artifactPath('IERC20Metadata.sol', 'IERC20Metadata'));
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+/**
+ * Create an ERC-20 contract instance
+ * @param {string} address - Address of the token contract
+ * @param {ethers.ContractRunner} runner - Provider or signer to attach
+ * @returns {ethers.Contract} The token contract instance
+ */
+function getErc20Contract(address, runner) {
+  return new ethers.Contract(address, ERC20_ABI, runner);
+}
+
+module.exports = {
+  ERC20_ABI,
+  erc20Interface,
+  getErc20Contract
+};
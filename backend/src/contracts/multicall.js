@@ -0,0 +1,95 @@
+/**
+ * Multicall3 binding
+ *
+ * Batches read-only calls into a single eth_call through Multicall3's
+ * aggregate3(), which is deployed at the same address on most public chains.
+ * On chains without it (a fresh Anvil, for instance) the reader falls back to
+ * sending the calls one after the other, so callers do not need to care.
+ */
+
+const { ethers } = require('ethers');
+const { artifactPath, loadAbi } = require('./artifacts');
+
+// Deterministic deployment address of Multicall3
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = loadAbi(artifactPath('IMulticall3.sol', 'IMulticall3'));
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+/**
+ * Decode the return data of one call
+ * @param {Object} call - The call
+ * @param {boolean} success - Whether the call succeeded
+ * @param {string} returnData - Raw return (or revert) data
+ * @returns {{ success: boolean, value?: *, error?: Error }} The result; single return values are unwrapped
+ */
+function decodeResult(call, success, returnData) {
+  if (!success) {
+    return { success: false, error: Object.assign(new Error(`${call.method} reverted`), { code: 'CALL_EXCEPTION', data: returnData }) };
+  }
+  try {
+    const result = call.iface.decodeFunctionResult(call.method, returnData);
+    return { success: true, value: result.length === 1 ? result[0] : result };
+  } catch (error) {
+    return { success: false, error };
+  }
+}
+
+/**
+ * Create a reader that batches calls through Multicall3 when it is deployed
+ * @param {ethers.Provider} provider - Provider for the calls
+ * @param {Object} [options]
+ * @param {string} [options.address=MULTICALL3_ADDRESS] - Multicall3 address
+ * @returns {Object} The reader
+ */
+function createMulticallReader(provider, { address = MULTICALL3_ADDRESS } = {}) {
+  // Whether Multicall3 is deployed, looked up once
+  let deployed = null;
+
+  async function isDeployed() {
+    if (deployed === null) {
+      deployed = (await provider.getCode(address)) !== '0x';
+    }
+    return deployed;
+  }
+
+  return {
+    /**
+     * Run read-only calls, batched when possible
+     * A failing call does not fail the others; its result carries the error.
+     * @param {Array<Object>} calls - Calls: { target, iface, method, args }
+     * @param {Object} [options]
+     * @param {number|string} [options.blockTag] - Block every call reads from (defaults to the latest)
+     * @returns {Promise<Array<Object>>} Results in call order: { success, value } or { success, error }
+     */
+    async read(calls, { blockTag } = {}) {
+      const encoded = calls.map((call) => call.iface.encodeFunctionData(call.method, call.args || []));
+
+      if (await isDeployed()) {
+        const data = multicallInterface.encodeFunctionData('aggregate3', [
+          calls.map((call, i) => [call.target, true, encoded[i]])
+        ]);
+        const [results] = multicallInterface.decodeFunctionResult('aggregate3', await provider.call({ to: address, data, blockTag }));
+        return results.map(([success, returnData], i) => decodeResult(calls[i], success, returnData));
+      }
+
+      const results = [];
+      for (const [i, call] of calls.entries()) {
+        try {
+          results.push(decodeResult(call, true, await provider.call({ to: call.target, data: encoded[i], blockTag })));
+        } catch (error) {
+          // Provider and network failures are not per-call results
+          if (error.code !== 'CALL_EXCEPTION') throw error;
+          results.push({ success: false, error });
+        }
+      }
+      return results;
+    }
+  };
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  multicallInterface,
+  createMulticallReader
+};
@@ -0,0 +1,137 @@
+/**
+ * Swapper contract binding
+ *
+ * Loads the Swapper ABI from the Foundry build artifact so the backend always
+ * talks to the contract with the same interface `forge build` produced. The
+ * functions, events and custom errors the backend relies on are listed below
+ * and checked against the artifact at startup, so a contract change that
+ * renames or removes one of them fails at boot instead of at the first call.
+ */
+
+const { ethers } = require('ethers');
+const { artifactPath, loadAbi } = require('./artifacts');
+
+// Path to the artifact written by `forge build` in the smart-contracts project
+const SWAPPER_ARTIFACT_PATH = artifactPath('Swapper.sol', 'Swapper');
+
+// Functions the backend calls on the Swapper contract
+const REQUIRED_FUNCTIONS = [
+  'swap',
+  'tokenBalances',
+  'feeNumerator',
+  'supportedTokens',
+  'getTWAP',
+  'FEE_DENOMINATOR',
+  'MAX_OUTPUT_PERCENTAGE',
+  'MINIMUM_LIQUIDITY',
+  'paused',
+  'owner',
+  'MIN_OBSERVATIONS',
+  'priceHistory',
+  'addSupportedToken',
+  'removeSupportedToken',
+  'setFee',
+  'pause',
+  'unpause',
+  'withdrawToken',
+  'removeLiquidity',
+  'transferOwnership'
+];
+
+// Events the backend decodes from Swapper receipts and logs
+const REQUIRED_EVENTS = [
+  'TokenSwap',
+  'LiquidityAdded',
+  'LiquidityRemoved',
+  'FeeUpdated',
+  'SupportedTokenAdded',
+  'ZeroLiquidityPrice',
+  'Paused',
+  'Unpaused',
+  'OwnershipTransferred'
+];
+
+// Custom errors the backend expects the Swapper contract to revert with
+const REQUIRED_ERRORS = [
+  'UnsupportedToken',
+  'InsufficientUserBalance',
+  'InsufficientSwapperLiquidity',
+  'InsufficientRemainingLiquidity',
+  'SameTokenSwap',
+  'SlippageExceeded',
+  'ExcessiveSwapImpact'
+];
+
+/**
+ * Check that every function, event and custom error the backend uses exists in the ABI
+ * @param {ethers.Interface} iface - The Swapper contract interface
+ * @param {Object} [required] - Names to look up
+ * @param {string[]} [required.functions] - Function names
+ * @param {string[]} [required.events] - Event names
+ * @param {string[]} [required.errors] - Custom error names
+ * @throws {Error} If any required member is missing from the ABI
+ */
+function assertSwapperAbi(iface, {
+  functions = REQUIRED_FUNCTIONS,
+  events = REQUIRED_EVENTS,
+  errors = REQUIRED_ERRORS
+} = {}) {
+  const missing = [];
+  for (const name of functions) {
+    if (!iface.hasFunction(name)) missing.push(`function ${name}`);
+  }
+  for (const name of events) {
+    if (!iface.hasEvent(name)) missing.push(`event ${name}`);
+  }
+  for (const name of errors) {
+    if (!iface.getError(name)) missing.push(`error ${name}`);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Swapper ABI is missing members used by the backend: ${missing.join(', ')}`);
+  }
+}
+
+const SWAPPER_ABI = loadAbi(SWAPPER_ARTIFACT_PATH);
+const swapperInterface = new ethers.Interface(SWAPPER_ABI);
+
+/**
+ * Create a Swapper contract instance bound to the artifact ABI
+ * @param {string} address - Address of the deployed Swapper contract
+ * @param {ethers.ContractRunner} runner - Provider or signer to attach
+ * @returns {ethers.Contract} The Swapper contract instance
+ */
+function getSwapperContract(address, runner) {
+  assertSwapperAbi(swapperInterface);
+  return new ethers.Contract(address, SWAPPER_ABI, runner);
+}
+
+/**
+ * Find and decode the first Swapper event with the given name in a receipt
+ * @param {ethers.TransactionReceipt} receipt - The transaction receipt
+ * @param {string} eventName - Name of the event to look for
+ * @returns {ethers.LogDescription|null} The decoded event, or null if not emitted
+ */
+function findSwapperEvent(receipt, eventName) {
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = swapperInterface.parseLog(log);
+    } catch (error) {
+      continue; // Log from another contract (e.g. an ERC-20 Transfer)
+    }
+    if (parsed && parsed.name === eventName) return parsed;
+  }
+  return null;
+}
+
+module.exports = {
+  SWAPPER_ABI,
+  SWAPPER_ARTIFACT_PATH,
+  REQUIRED_FUNCTIONS,
+  REQUIRED_EVENTS,
+  REQUIRED_ERRORS,
+  swapperInterface,
+  assertSwapperAbi,
+  getSwapperContract,
+  findSwapperEvent
+};
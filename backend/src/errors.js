@@ -0,0 +1,227 @@
+/**
+ * API error layer
+ *
+ * Turns the errors thrown by route handlers, ethers and the Swapper contract
+ * into HTTP responses with a stable machine-readable code:
+ *
+ *   { "error": "<message>", "code": "<CODE>", "details": { ... } }
+ *
+ * Contract reverts are decoded against the Swapper ABI (custom errors and
+ * require() strings) and the OpenZeppelin ERC-20 errors; RPC and provider
+ * failures map to 502/503.
+ */
+
+const { ethers } = require('ethers');
+const { SWAPPER_ABI } = require('./contracts/swapper');
+const { artifactPath, loadAbi } = require('./contracts/artifacts');
+
+// Swapper errors plus the ERC-20 errors the tokens' transferFrom can bubble up
+const revertInterface = new ethers.Interface([
+  ...SWAPPER_ABI.filter((fragment) => fragment.type === 'error'),
+  ...loadAbi(artifactPath('draft-IERC6093.sol', 'IERC20Errors'))
+]);
+
+/**
+ * Error carrying an HTTP status and a stable error code
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {Object} [details] - Extra data for the client
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Custom errors raised by Swapper and its OpenZeppelin bases
+const CUSTOM_ERRORS = {
+  UnsupportedToken: [400, 'UNSUPPORTED_TOKEN', 'Token is not supported by the Swapper'],
+  SameTokenSwap: [400, 'SAME_TOKEN_SWAP', 'fromToken and toToken must differ'],
+  InsufficientUserBalance: [400, 'INSUFFICIENT_USER_BALANCE', 'Sender balance is lower than the amount in'],
+  InsufficientSwapperLiquidity: [409, 'INSUFFICIENT_LIQUIDITY', 'Swapper has no liquidity for the requested token'],
+  InsufficientRemainingLiquidity: [409, 'INSUFFICIENT_REMAINING_LIQUIDITY', 'Swap would leave less than MINIMUM_LIQUIDITY in the pool'],
+  ExcessiveSwapImpact: [422, 'EXCESSIVE_SWAP_IMPACT', 'Swap output exceeds MAX_OUTPUT_PERCENTAGE of the pool'],
+  SlippageExceeded: [409, 'SLIPPAGE_EXCEEDED', 'Output is below minAmountOut'],
+  EnforcedPause: [409, 'CONTRACT_PAUSED', 'Swapper is paused'],
+  ExpectedPause: [409, 'CONTRACT_NOT_PAUSED', 'Swapper is not paused'],
+  OwnableUnauthorizedAccount: [403, 'NOT_OWNER', 'Caller is not the Swapper owner'],
+  OwnableInvalidOwner: [400, 'INVALID_OWNER', 'Invalid owner address'],
+  ReentrancyGuardReentrantCall: [409, 'REENTRANT_CALL', 'Reentrant call'],
+  SafeERC20FailedOperation: [422, 'TOKEN_TRANSFER_FAILED', 'Token transfer failed'],
+  ERC20InsufficientAllowance: [400, 'INSUFFICIENT_ALLOWANCE', 'Swapper allowance is lower than the amount in'],
+  ERC20InsufficientBalance: [400, 'INSUFFICIENT_USER_BALANCE', 'Sender balance is lower than the amount in']
+};
+
+// require() reason strings used in Swapper.sol
+const REQUIRE_REASONS = {
+  'Fee too high': [400, 'FEE_TOO_HIGH'],
+  'Invalid token address': [400, 'INVALID_TOKEN_ADDRESS'],
+  'Token already supported': [409, 'TOKEN_ALREADY_SUPPORTED'],
+  'Token not supported': [400, 'UNSUPPORTED_TOKEN'],
+  'Unsupported token': [400, 'UNSUPPORTED_TOKEN'],
+  UnsupportedToken: [400, 'UNSUPPORTED_TOKEN'],
+  'Insufficient liquidity': [409, 'INSUFFICIENT_LIQUIDITY'],
+  'No liquidity to remove': [409, 'INSUFFICIENT_LIQUIDITY']
+};
+
+// ethers error codes raised when the RPC endpoint is unreachable or misbehaves
+const PROVIDER_ERRORS = {
+  NETWORK_ERROR: [503, 'RPC_UNAVAILABLE'],
+  TIMEOUT: [503, 'RPC_TIMEOUT'],
+  SERVER_ERROR: [502, 'RPC_ERROR'],
+  BAD_DATA: [502, 'RPC_BAD_RESPONSE'],
+  UNKNOWN_ERROR: [502, 'RPC_ERROR'],
+  INSUFFICIENT_FUNDS: [503, 'SIGNER_UNFUNDED'],
+  NONCE_EXPIRED: [502, 'NONCE_EXPIRED'],
+  REPLACEMENT_UNDERPRICED: [502, 'REPLACEMENT_UNDERPRICED']
+};
+
+// Node socket errors seen when the RPC host cannot be reached
+const SOCKET_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Find the raw revert data in an ethers error
+ * @param {Error} error - Error thrown by a call, estimateGas or sendTransaction
+ * @returns {string|null} Hex revert data
+ */
+function findRevertData(error) {
+  const candidates = [error.data, error.info && error.info.error && error.info.error.data, error.error && error.error.data];
+  for (const data of candidates) {
+    if (typeof data === 'string' && ethers.isHexString(data) && data.length >= 10) return data;
+    if (data && typeof data.data === 'string') return data.data;
+  }
+  return null;
+}
+
+/**
+ * Decode a contract revert from an ethers error
+ * @param {Error} error - The error
+ * @returns {{ name: string, args: Array, reason: string|null }|null} Decoded revert, or null if the error is not a revert
+ */
+function decodeRevert(error) {
+  const data = findRevertData(error);
+  if (data) {
+    try {
+      const parsed = revertInterface.parseError(data);
+      if (parsed) {
+        const reason = parsed.name === 'Error' ? parsed.args[0] : null;
+        return { name: parsed.name, args: Array.from(parsed.args), reason };
+      }
+    } catch (parseError) {
+      // Unknown selector, fall through to what ethers decoded itself
+    }
+  }
+  if (error.revert && error.revert.name) {
+    const reason = error.revert.name === 'Error' ? error.revert.args[0] : null;
+    return { name: error.revert.name, args: Array.from(error.revert.args), reason };
+  }
+  if (error.code === 'CALL_EXCEPTION') {
+    return { name: 'Unknown', args: [], reason: error.reason || null };
+  }
+  return null;
+}
+
+/**
+ * Describe a revert in a single string (custom error name or require reason)
+ * @param {Error} error - The error
+ * @returns {string|null} The revert reason
+ */
+function revertReasonOf(error) {
+  const revert = decodeRevert(error);
+  if (!revert) return null;
+  return revert.reason || (revert.name === 'Unknown' ? null : revert.name);
+}
+
+/**
+ * Convert a decoded revert to an ApiError
+ * @param {{ name: string, args: Array, reason: string|null }} revert - Decoded revert
+ * @returns {ApiError} The API error
+ */
+function revertToApiError(revert) {
+  const args = revert.args.map((arg) => (typeof arg === 'bigint' ? arg.toString() : arg));
+
+  if (revert.name === 'Error') {
+    const [status, code] = REQUIRE_REASONS[revert.reason] || [422, 'CONTRACT_REVERTED'];
+    return new ApiError(status, code, revert.reason, { revert: 'Error', reason: revert.reason });
+  }
+  if (revert.name === 'Panic') {
+    return new ApiError(422, 'CONTRACT_PANIC', 'Contract panicked', { revert: 'Panic', panicCode: args[0] });
+  }
+  if (CUSTOM_ERRORS[revert.name]) {
+    const [status, code, message] = CUSTOM_ERRORS[revert.name];
+    return new ApiError(status, code, message, { revert: revert.name, args });
+  }
+  return new ApiError(422, 'CONTRACT_REVERTED', revert.reason || 'Contract call reverted', { revert: revert.name, args });
+}
+
+/**
+ * Map any error thrown while handling a request to an ApiError
+ * @param {Error} error - The error
+ * @returns {ApiError} The API error
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  // Body parser errors (malformed JSON and the like) carry their own 4xx status
+  if (error.type === 'entity.parse.failed' || (error.status >= 400 && error.status < 500 && error.expose)) {
+    return new ApiError(error.status, 'INVALID_REQUEST', error.message);
+  }
+
+  const revert = decodeRevert(error);
+  if (revert) return revertToApiError(revert);
+
+  if (PROVIDER_ERRORS[error.code]) {
+    const [status, code] = PROVIDER_ERRORS[error.code];
+    return new ApiError(status, code, error.shortMessage || error.message);
+  }
+  const socketCode = error.code || (error.cause && error.cause.code);
+  if (SOCKET_ERRORS.includes(socketCode)) {
+    return new ApiError(503, 'RPC_UNAVAILABLE', error.message);
+  }
+
+  return new ApiError(500, 'INTERNAL_ERROR', error.message);
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ * @param {Function} handler - Express handler returning a promise
+ * @returns {Function} Express handler
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Express error middleware sending errors as `{ error, code, details }`
+ * @param {Error} error - The error passed to next()
+ * @param {express.Request} req - The request
+ * @param {express.Response} res - The response
+ * @param {Function} next - Next middleware
+ */
+function errorHandler(error, req, res, next) {
+  const apiError = toApiError(error);
+  if (apiError.status >= 500 && !(error instanceof ApiError)) {
+    console.error(`${req.method} ${req.path} failed:`, error);
+  }
+  const body = { error: apiError.message, code: apiError.code };
+  if (apiError.details !== undefined) body.details = apiError.details;
+  res.status(apiError.status).json(body);
+}
+
+module.exports = {
+  ApiError,
+  decodeRevert,
+  revertReasonOf,
+  toApiError,
+  asyncHandler,
+  errorHandler
+};
@@ -0,0 +1,133 @@
+/**
+ * Rate limiting
+ *
+ * Fixed one-minute windows counted in memory. Every request counts against
+ * its client IP before any credential is looked at, so guessing API keys is
+ * limited too. A request made with a valid API key is then handed back to
+ * its IP and counted against the key instead, with the key's own limit, so
+ * a key can use its whole quota from a single host. Whichever is exhausted
+ * first answers 429 with a Retry-After header.
+ *
+ * Client IPs come from req.ip: behind a reverse proxy, set TRUST_PROXY so
+ * Express reads them from X-Forwarded-For instead of seeing the proxy's.
+ */
+
+const { ApiError } = require('./errors');
+
+const WINDOW_MS = 60 * 1000;
+
+// Requests per minute allowed from one client IP unless configured otherwise
+const DEFAULT_IP_RATE_LIMIT = 300;
+
+/**
+ * Create a fixed-window counter
+ * @param {Object} [options]
+ * @param {number} [options.windowMs=WINDOW_MS] - Window length
+ * @returns {Object} The limiter
+ */
+function createRateLimiter({ windowMs = WINDOW_MS } = {}) {
+  const windows = new Map();
+  let prunedAt = 0;
+
+  return {
+    /**
+     * Count one request against a bucket
+     * @param {string} bucket - Bucket name
+     * @param {number} limit - Requests allowed per window
+     * @returns {{ allowed: boolean, limit: number, remaining: number, resetAt: number }} The bucket's state
+     */
+    hit(bucket, limit) {
+      const time = Date.now();
+      let window = windows.get(bucket);
+      if (!window || window.resetAt <= time) {
+        // Drop expired windows, at most once per window length, so idle clients do not pile up
+        if (time - prunedAt >= windowMs) {
+          prunedAt = time;
+          for (const [name, entry] of windows) {
+            if (entry.resetAt <= time) windows.delete(name);
+          }
+        }
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(bucket, window);
+      }
+      window.count += 1;
+      return {
+        allowed: window.count <= limit,
+        limit,
+        remaining: Math.max(limit - window.count, 0),
+        resetAt: window.resetAt
+      };
+    },
+
+    /**
+     * Take back one request counted against a bucket in the current window
+     * @param {string} bucket - Bucket name
+     */
+    refund(bucket) {
+      const window = windows.get(bucket);
+      if (window && window.resetAt > Date.now() && window.count > 0) window.count -= 1;
+    }
+  };
+}
+
+/**
+ * Count a request against its buckets and answer 429 once one is exhausted
+ * The RateLimit headers report the bucket closest to its limit so far.
+ * @param {express.Response} res - The response
+ * @param {Object} check - State of the bucket just hit (see createRateLimiter)
+ * @param {Function} next - Express next
+ */
+function enforce(res, check, next) {
+  const reported = res.locals.rateLimit;
+  const tightest = !reported || check.remaining < reported.remaining || !check.allowed ? check : reported;
+  res.locals.rateLimit = tightest;
+  res.set('RateLimit-Limit', String(tightest.limit));
+  res.set('RateLimit-Remaining', String(tightest.remaining));
+
+  if (!check.allowed) {
+    const retryAfter = Math.max(Math.ceil((check.resetAt - Date.now()) / 1000), 1);
+    res.set('Retry-After', String(retryAfter));
+    return next(new ApiError(429, 'RATE_LIMITED', `Rate limit of ${check.limit} requests per minute exceeded`, { retryAfter }));
+  }
+  next();
+}
+
+/**
+ * Build the per-IP rate limiting middleware
+ * Runs before auth.identify, so requests with bad credentials are limited too.
+ * @param {Object} options
+ * @param {Object} options.limiter - Limiter from createRateLimiter
+ * @param {number} options.perIp - Requests per window allowed from one IP (0 disables the IP limit)
+ * @returns {Function} Express middleware
+ */
+function ipRateLimit({ limiter, perIp }) {
+  return (req, res, next) => {
+    if (perIp <= 0) return next();
+    res.locals.ipBucket = `ip:${req.ip}`;
+    enforce(res, limiter.hit(res.locals.ipBucket, perIp), next);
+  };
+}
+
+/**
+ * Build the per-API-key rate limiting middleware
+ * Runs after auth.identify, which has rejected unknown keys; the request is
+ * refunded to its IP, so only the key's limit applies to it.
+ * @param {Object} options
+ * @param {Object} options.limiter - Limiter from createRateLimiter
+ * @returns {Function} Express middleware
+ */
+function keyRateLimit({ limiter }) {
+  return (req, res, next) => {
+    if (!req.requester || req.requester.type !== 'api-key') return next();
+    if (res.locals.ipBucket) limiter.refund(res.locals.ipBucket);
+    res.locals.rateLimit = null;
+    enforce(res, limiter.hit(`key:${req.requester.id}`, req.requester.rateLimit), next);
+  };
+}
+
+module.exports = {
+  DEFAULT_IP_RATE_LIMIT,
+  createRateLimiter,
+  ipRateLimit,
+  keyRateLimit
+};
@@ -0,0 +1,44 @@
+/**
+ * Account routes
+ *
+ * Per-wallet views built from the event indexer.
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../errors');
+const { MAX_PAGE_SIZE } = require('../services/pagination');
+const { address, integer, cursor, validate } = require('../validation');
+
+/**
+ * Create the account router
+ * @param {Object} deps
+ * @param {Object} deps.accountActivity - Account activity service
+ * @returns {express.Router} The router
+ */
+function createAccountRouter({ accountActivity }) {
+  const router = express.Router();
+
+  /**
+   * GET /accounts/:address/activity
+   * List a wallet's swaps and liquidity adds, newest first
+   * Activity is attributed to the wallet whose tokens were pulled into the
+   * Swapper, whether it sent the transaction itself or called through a contract.
+   * @param {string} address - Wallet address
+   * @param {number} [limit] - Page size (default 20, at most 100)
+   * @param {string} [cursor] - nextCursor of the previous page
+   * @returns {Object} Activity rows with amounts and running totals, the next cursor and overall totals
+   */
+  router.get('/accounts/:address/activity', validate({
+    params: { address: address() },
+    query: { limit: integer({ min: 1, max: MAX_PAGE_SIZE }), cursor: cursor() }
+  }), asyncHandler(async (req, res) => {
+    const { cursor: position, limit } = req.query;
+    res.json(await accountActivity.list(req.params.address, { cursor: position, limit }));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createAccountRouter
+};
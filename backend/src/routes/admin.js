@@ -0,0 +1,145 @@
+/**
+ * Admin routes
+ *
+ * Swapper owner operations, sent from the owner signer. Every route requires
+ * an admin token or a SIWE session of the Swapper owner; the requester is
+ * recorded in the audit log. Operations answer 202 with the audit entry of
+ * the submitted transaction and GET /admin/audit reports how they ended.
+ */
+
+const express = require('express');
+const { parseAmountInput } = require('../services/tokenMetadata');
+const { MAX_FEE_NUMERATOR } = require('../services/adminOperations');
+const { ApiError, asyncHandler } = require('../errors');
+const { address, amount, integer, validate } = require('../validation');
+
+// Most audit entries returned by GET /admin/audit
+const MAX_AUDIT_ENTRIES = 500;
+
+/**
+ * Create the admin router
+ * @param {Object} deps
+ * @param {Object} deps.adminOperations - Admin operations service
+ * @param {Object} deps.tokenMetadata - Token metadata service
+ * @param {Object} deps.auth - Authentication middleware
+ * @returns {express.Router} The router
+ */
+function createAdminRouter({ adminOperations, tokenMetadata, auth }) {
+  const router = express.Router();
+  router.use('/admin', auth.requireRole('admin', 'owner'));
+
+  /**
+   * Send an operation and answer with its audit entry
+   * @param {string} action - Owner function to call
+   * @param {Function} [paramsOf] - Builds the audited params from the request
+   * @returns {Function} Express handler
+   */
+  const operation = (action, paramsOf = () => ({})) => asyncHandler(async (req, res) => {
+    const params = await paramsOf(req);
+    res.status(202).json(await adminOperations.execute(action, params, req.requester));
+  });
+
+  /**
+   * Resolve `amount` (human-readable) or `amountRaw` with the token's decimals
+   * @param {express.Request} req - Request with a validated `token` and amount in the body
+   * @returns {Promise<Object>} token and amount in base units
+   */
+  const tokenAmount = async (req) => {
+    const { token } = req.body;
+    const { decimals } = await tokenMetadata.getMetadata(token);
+    try {
+      return { token, amount: parseAmountInput(req.body, 'amount', decimals).toString() };
+    } catch (error) {
+      throw new ApiError(400, 'INVALID_REQUEST', error.message);
+    }
+  };
+
+  /**
+   * GET /admin/status
+   * Check whether the owner signer currently owns the Swapper
+   * @returns {Object} Swapper owner, signer address and whether they match
+   */
+  router.get('/admin/status', asyncHandler(async (req, res) => {
+    res.json(await adminOperations.ownership());
+  }));
+
+  /**
+   * GET /admin/audit
+   * List the audit log, newest first
+   * @param {number} [limit] - Number of entries (default and maximum 500)
+   * @returns {Object} Audit entries
+   */
+  router.get('/admin/audit', validate({ query: { limit: integer({ min: 1, max: MAX_AUDIT_ENTRIES }) } }), (req, res) => {
+    res.json({ entries: adminOperations.audit({ limit: req.query.limit || MAX_AUDIT_ENTRIES }) });
+  });
+
+  /**
+   * POST /admin/tokens
+   * Add a supported token
+   * @param {string} token - Token address
+   */
+  router.post('/admin/tokens', validate({ body: { token: address() } }),
+    operation('addSupportedToken', (req) => ({ token: req.body.token })));
+
+  /**
+   * DELETE /admin/tokens/:token
+   * Remove a supported token
+   * @param {string} token - Token address
+   */
+  router.delete('/admin/tokens/:token', validate({ params: { token: address() } }),
+    operation('removeSupportedToken', (req) => ({ token: req.params.token })));
+
+  /**
+   * PUT /admin/fee
+   * Set the swap fee
+   * @param {number} feeNumerator - New fee, out of FEE_DENOMINATOR (at most 50, i.e. 5%)
+   */
+  router.put('/admin/fee', validate({ body: { feeNumerator: integer({ min: 0, max: MAX_FEE_NUMERATOR, required: true }) } }),
+    operation('setFee', (req) => ({ feeNumerator: req.body.feeNumerator })));
+
+  /**
+   * POST /admin/pause
+   * Pause swaps and liquidity changes
+   */
+  router.post('/admin/pause', operation('pause'));
+
+  /**
+   * POST /admin/unpause
+   * Resume swaps and liquidity changes
+   */
+  router.post('/admin/unpause', operation('unpause'));
+
+  /**
+   * POST /admin/withdraw
+   * Withdraw tracked tokens to the owner
+   * @param {string} token - Token address
+   * @param {string} [amount] - Amount, human-readable
+   * @param {string} [amountRaw] - Amount in base units (instead of amount)
+   */
+  router.post('/admin/withdraw', validate({ body: { token: address(), amount: amount() } }),
+    operation('withdrawToken', tokenAmount));
+
+  /**
+   * POST /admin/liquidity/remove
+   * Remove liquidity to the owner
+   * @param {string} token - Token address
+   * @param {string} [amount] - Amount, human-readable
+   * @param {string} [amountRaw] - Amount in base units (instead of amount)
+   */
+  router.post('/admin/liquidity/remove', validate({ body: { token: address(), amount: amount() } }),
+    operation('removeLiquidity', tokenAmount));
+
+  /**
+   * POST /admin/ownership
+   * Transfer ownership of the Swapper; the owner signer loses admin rights once mined
+   * @param {string} newOwner - Address of the new owner
+   */
+  router.post('/admin/ownership', validate({ body: { newOwner: address() } }),
+    operation('transferOwnership', (req) => ({ newOwner: req.body.newOwner })));
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
@@ -0,0 +1,79 @@
+/**
+ * API key routes
+ *
+ * Issuing, listing and revoking the API keys of internal services, and the
+ * usage counters that show which of them is busiest. Admin-only.
+ */
+
+const express = require('express');
+const { API_KEY_SCOPES, DEFAULT_KEY_RATE_LIMIT } = require('../services/apiKeys');
+const { integer, keyName, oneOf, validate } = require('../validation');
+
+// Highest per-key limit an admin can grant, in requests per minute
+const MAX_KEY_RATE_LIMIT = 100000;
+
+/**
+ * Create the API key router
+ * @param {Object} deps
+ * @param {Object} deps.apiKeys - API key service
+ * @param {Object} deps.usage - Usage tracker
+ * @param {Object} deps.auth - Authentication middleware
+ * @returns {express.Router} The router
+ */
+function createApiKeyRouter({ apiKeys, usage, auth }) {
+  const router = express.Router();
+  router.use(['/admin/api-keys', '/admin/usage'], auth.requireRole('admin', 'owner'));
+
+  /**
+   * GET /admin/api-keys
+   * List issued keys, revoked ones included
+   * @returns {Object} Keys with name, scope, rate limit and revocation time (never the key itself)
+   */
+  router.get('/admin/api-keys', (req, res) => {
+    res.json({ keys: apiKeys.list() });
+  });
+
+  /**
+   * POST /admin/api-keys
+   * Issue a key; the key is only returned in this response
+   * @param {string} name - Service the key is for
+   * @param {string} scope - read-only, trade or admin
+   * @param {number} [rateLimit] - Requests per minute (default 600)
+   * @returns {Object} 201 with the key record and the key
+   */
+  router.post('/admin/api-keys', validate({
+    body: {
+      name: keyName(),
+      scope: oneOf(Object.keys(API_KEY_SCOPES), { required: true }),
+      rateLimit: integer({ min: 1, max: MAX_KEY_RATE_LIMIT })
+    }
+  }), (req, res) => {
+    const { name, scope, rateLimit = DEFAULT_KEY_RATE_LIMIT } = req.body;
+    res.status(201).json(apiKeys.issue({ name, scope, rateLimit, createdBy: req.requester }));
+  });
+
+  /**
+   * DELETE /admin/api-keys/:id
+   * Revoke a key
+   * @param {string} id - Key id
+   * @returns {Object} The revoked key
+   */
+  router.delete('/admin/api-keys/:id', (req, res) => {
+    res.json(apiKeys.revoke(req.params.id));
+  });
+
+  /**
+   * GET /admin/usage
+   * Request, rate-limit and RPC call counters per API key and per client IP
+   * @returns {Object} Counters since the process started, busiest RPC users first
+   */
+  router.get('/admin/usage', (req, res) => {
+    res.json(usage.report(apiKeys.list()));
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiKeyRouter
+};
@@ -0,0 +1,83 @@
+/**
+ * Auth routes
+ *
+ * Sign-In With Ethereum: GET /auth/nonce, then POST /auth/verify with the
+ * signed EIP-4361 message to get a session token. The token is sent back as
+ * `Authorization: Bearer <token>`.
+ */
+
+const express = require('express');
+const { ApiError, asyncHandler } = require('../errors');
+const { text, validate } = require('../validation');
+
+/**
+ * Domain a sign-in message must be addressed to
+ * Only the configured SIWE_DOMAIN: request headers are set by whichever page
+ * sends the request, so they cannot bind a signature to this API.
+ * @param {string|null} configured - Configured domain
+ * @returns {string} The expected domain
+ * @throws {ApiError} 503 SIWE_DISABLED when no domain is configured
+ */
+function expectedDomain(configured) {
+  if (!configured) throw new ApiError(503, 'SIWE_DISABLED', 'Sign-in is not configured (SIWE_DOMAIN)');
+  return configured;
+}
+
+/**
+ * Create the auth router
+ * @param {Object} deps
+ * @param {Object} deps.siwe - SIWE session service
+ * @param {Object} deps.auth - Authentication middleware
+ * @param {Object} deps.config - App configuration (`siweDomain` is the domain messages must name)
+ * @returns {express.Router} The router
+ */
+function createAuthRouter({ siwe, auth, config }) {
+  const router = express.Router();
+
+  /**
+   * GET /auth/nonce
+   * Issue a single-use nonce for a sign-in message
+   * @returns {Object} nonce, its expiry and the domain and chain the message must name
+   */
+  router.get('/auth/nonce', (req, res) => {
+    const domain = expectedDomain(config.siweDomain);
+    res.json({ ...siwe.issueNonce(), domain });
+  });
+
+  /**
+   * POST /auth/verify
+   * Trade a signed EIP-4361 message for a session token
+   * @param {string} message - The message, as signed
+   * @param {string} signature - personal_sign signature of the message
+   * @returns {Object} Session token, address, expiry and roles
+   */
+  router.post('/auth/verify', validate({ body: { message: text(), signature: text() } }), asyncHandler(async (req, res) => {
+    const session = await siwe.verify(req.body.message, req.body.signature, expectedDomain(config.siweDomain));
+    const roles = await auth.rolesOf({ type: 'siwe', address: session.address });
+    res.status(201).json({ ...session, roles });
+  }));
+
+  /**
+   * GET /auth/session
+   * Describe the current session
+   * @returns {Object} Address and roles
+   */
+  router.get('/auth/session', auth.requireSession(), asyncHandler(async (req, res) => {
+    res.json({ address: req.requester.address, roles: await auth.rolesOf(req.requester) });
+  }));
+
+  /**
+   * POST /auth/logout
+   * End the current session
+   */
+  router.post('/auth/logout', auth.requireSession(), (req, res) => {
+    siwe.revoke(req.sessionToken);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAuthRouter
+};
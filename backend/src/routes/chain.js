@@ -0,0 +1,48 @@
+/**
+ * Chain routes
+ *
+ * Raw information about the connected network and the Swapper deployment.
+ */
+
+const express = require('express');
+const { ApiError, asyncHandler } = require('../errors');
+
+/**
+ * Create the chain router
+ * @param {Object} deps
+ * @param {ethers.Provider} deps.provider - The provider
+ * @param {Object} deps.config - App configuration (`deployment` comes from the broadcast registry)
+ * @returns {express.Router} The router
+ */
+function createChainRouter({ provider, config }) {
+  const router = express.Router();
+
+  /**
+   * GET /latest-block
+   * Get information about the latest Ethereum block
+   * @returns {Object} Latest block information
+   */
+  router.get('/latest-block', asyncHandler(async (req, res) => {
+    const block = await provider.getBlock('latest');
+    res.json(block);
+  }));
+
+  /**
+   * GET /deployment
+   * Get the Swapper deployment the backend is connected to, as recorded in the
+   * Foundry broadcast files
+   * @returns {Object} Address, deploy transaction hash, deploy block and owner argument
+   */
+  router.get('/deployment', (req, res) => {
+    if (!config.deployment) {
+      throw new ApiError(404, 'DEPLOYMENT_NOT_FOUND', 'No Swapper broadcast found for the configured Swapper');
+    }
+    res.json(config.deployment);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createChainRouter
+};
@@ -0,0 +1,44 @@
+/**
+ * Event stream routes
+ *
+ * Server-Sent Events push channel for indexed Swapper events.
+ */
+
+const express = require('express');
+const { addressList, eventId, validate } = require('../validation');
+
+/**
+ * Create the event stream router
+ * @param {Object} deps
+ * @param {Object} deps.eventStream - Event stream service
+ * @returns {express.Router} The router
+ */
+function createEventRouter({ eventStream }) {
+  const router = express.Router();
+
+  /**
+   * GET /events/stream
+   * Stream swaps, reserve changes, fee updates and pause/unpause as Server-Sent Events
+   * Message types: swap, reserves, fee, pause, plus ready on connect and
+   * rollback (with the last block kept) when a reorg drops events.
+   * @param {string} [tokens] - Comma-separated token addresses to follow (default: all)
+   * @param {string} [lastEventId] - Resume after this event id; the Last-Event-ID header works too
+   * @returns {text/event-stream} The stream
+   */
+  router.get('/events/stream', (req, res, next) => {
+    // EventSource sends the id of the last message it saw when it reconnects
+    if (req.query.lastEventId === undefined && req.get('Last-Event-ID')) {
+      req.query.lastEventId = req.get('Last-Event-ID');
+    }
+    next();
+  }, validate({ query: { tokens: addressList(), lastEventId: eventId() } }), (req, res) => {
+    const { tokens, lastEventId } = req.query;
+    eventStream.connect(res, { tokens, lastEventId });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEventRouter
+};
@@ -0,0 +1,57 @@
+/**
+ * Pair routes
+ *
+ * Chart data per token pair, aggregated from indexed swaps.
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../errors');
+const { CANDLE_INTERVALS } = require('../services/candles');
+const { address, integer, oneOf, distinct, validate } = require('../validation');
+
+// Interval served when the request does not name one
+const DEFAULT_INTERVAL = '1h';
+
+// Largest number of candles returned by one request
+const MAX_CANDLES = 1000;
+
+/**
+ * Create the pair router
+ * @param {Object} deps
+ * @param {Object} deps.candles - Candle service
+ * @returns {express.Router} The router
+ */
+function createPairRouter({ candles }) {
+  const router = express.Router();
+
+  /**
+   * GET /pairs/:from/:to/candles
+   * Get OHLCV candles of a pair, oldest first; intervals without swaps have no candle
+   * @param {string} from - Base token; prices are in `to` per `from`
+   * @param {string} to - Quote token
+   * @param {string} [interval] - 1m, 5m, 1h or 1d (default 1h)
+   * @param {number} [since] - Earliest candle start, unix seconds (inclusive)
+   * @param {number} [until] - Latest candle start, unix seconds (inclusive)
+   * @param {number} [limit] - Most recent candles to return (default and maximum 1000)
+   * @returns {Object} Token metadata, interval and candles with open, high, low, close, volume and trade count
+   */
+  router.get('/pairs/:from/:to/candles', validate({
+    params: { from: address(), to: address() },
+    query: {
+      interval: oneOf(Object.keys(CANDLE_INTERVALS)),
+      since: integer({ min: 0, max: Number.MAX_SAFE_INTEGER }),
+      until: integer({ min: 0, max: Number.MAX_SAFE_INTEGER }),
+      limit: integer({ min: 1, max: MAX_CANDLES })
+    },
+    checks: [distinct('from', 'to')]
+  }), asyncHandler(async (req, res) => {
+    const { interval = DEFAULT_INTERVAL, since, until, limit = MAX_CANDLES } = req.query;
+    res.json(await candles.getCandles(req.params.from, req.params.to, { interval, since, until, limit }));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createPairRouter
+};
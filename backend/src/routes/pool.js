@@ -0,0 +1,45 @@
+/**
+ * Pool routes
+ *
+ * Live state of the Swapper: reserves, fee, pause status and trade limits.
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../errors');
+const { address, validate } = require('../validation');
+
+/**
+ * Create the pool router
+ * @param {Object} deps
+ * @param {Object} deps.poolState - Pool state service
+ * @returns {express.Router} The router
+ */
+function createPoolRouter({ poolState }) {
+  const router = express.Router();
+
+  /**
+   * GET /pool
+   * Get the pool state and every supported token's reserves
+   * @returns {Object} Owner, paused, fee, trade limits and per-token tokenBalances,
+   *   actual balance, drift and max single-trade output
+   */
+  router.get('/pool', asyncHandler(async (req, res) => {
+    res.json(await poolState.getPool());
+  }));
+
+  /**
+   * GET /pool/:token
+   * Get the pool state for one token
+   * @param {string} token - Token address
+   * @returns {Object} Owner, paused, fee, trade limits and the token's reserves
+   */
+  router.get('/pool/:token', validate({ params: { token: address() } }), asyncHandler(async (req, res) => {
+    res.json(await poolState.getToken(req.params.token));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createPoolRouter
+};
@@ -0,0 +1,71 @@
+/**
+ * Quote routes
+ *
+ * Off-chain quotes computed from the Swapper's balances and fee.
+ */
+
+const express = require('express');
+const { getQuote, serializeQuote } = require('../services/quoteEngine');
+const { parseAmountInput } = require('../services/tokenMetadata');
+const { ApiError, asyncHandler } = require('../errors');
+const { address, amount, distinct, validate } = require('../validation');
+
+/**
+ * Create the quote router
+ * @param {Object} deps
+ * @param {ethers.Contract} deps.swapperContract - The Swapper contract instance
+ * @param {Object} deps.tokenMetadata - Token metadata service
+ * @returns {express.Router} The router
+ */
+function createQuoteRouter({ swapperContract, tokenMetadata }) {
+  const router = express.Router();
+
+  /**
+   * GET /swap-rate
+   * Get the current swap rate between two tokens
+   * The deployed Swapper contract has no rate view; use GET /quote instead.
+   * @returns {Object} Error explaining the rate is unavailable
+   */
+  router.get('/swap-rate', (req, res) => {
+    throw new ApiError(501, 'NOT_IMPLEMENTED', 'Swap rate is not exposed by the Swapper contract, use GET /quote');
+  });
+
+  /**
+   * GET /quote
+   * Quote a swap off-chain using the contract's current balances and fee
+   * @param {string} fromToken - Address of the token to swap from
+   * @param {string} toToken - Address of the token to swap to
+   * @param {string} amountIn|amountInRaw - Amount of fromToken, human-readable or in base units
+   * @returns {Object} Amount out, fee paid, effective price and predicted revert
+   */
+  router.get('/quote', validate({
+    query: { fromToken: address(), toToken: address(), amountIn: amount() },
+    checks: [distinct('fromToken', 'toToken')]
+  }), asyncHandler(async (req, res) => {
+    const { fromToken, toToken } = req.query;
+
+    const [fromMeta, toMeta] = await Promise.all([
+      tokenMetadata.getMetadata(fromToken),
+      tokenMetadata.getMetadata(toToken)
+    ]);
+
+    let amountIn;
+    try {
+      amountIn = parseAmountInput(req.query, 'amountIn', fromMeta.decimals);
+    } catch (error) {
+      throw new ApiError(400, 'INVALID_REQUEST', error.message);
+    }
+
+    const quote = await getQuote(swapperContract, fromToken, toToken, amountIn, {
+      fromDecimals: fromMeta.decimals,
+      toDecimals: toMeta.decimals
+    });
+    res.json({ ...serializeQuote(quote), tokens: { from: fromMeta, to: toMeta } });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createQuoteRouter
+};
@@ -0,0 +1,305 @@
+/**
+ * Swap routes
+ *
+ * POST /swap queues a swap signed by the backend wallet, GET /swaps/:jobId
+ * reports on it and POST /swaps/:jobId/speedup or /cancel replaces it while
+ * it is stuck unmined. POST /swap/build returns unsigned transactions for the
+ * user's own wallet. GET /swaps lists past swaps from the event indexer.
+ */
+
+const express = require('express');
+const { getQuote, applySlippage } = require('../services/quoteEngine');
+const { parseAmountInput, formatAmount } = require('../services/tokenMetadata');
+const { buildSwapTransactions, serializeTransactionRequest } = require('../services/swapBuilder');
+const { ApiError, asyncHandler } = require('../errors');
+const { MAX_PAGE_SIZE } = require('../services/pagination');
+const {
+  MAX_SLIPPAGE_BPS,
+  address,
+  amount,
+  integer,
+  deadline,
+  uuid,
+  cursor,
+  distinct,
+  exclusive,
+  validate
+} = require('../validation');
+
+// Slippage tolerance applied when a swap request gives neither minAmountOut nor slippageBps
+const DEFAULT_SLIPPAGE_BPS = 50n; // 0.5%
+
+// Fields shared by the swap routes
+const swapBodyRules = {
+  fromToken: address(),
+  toToken: address(),
+  amount: amount(),
+  minAmountOut: amount({ required: false, allowZero: true }),
+  slippageBps: integer({ min: 0, max: MAX_SLIPPAGE_BPS }),
+  deadline: deadline()
+};
+const swapChecks = [distinct('fromToken', 'toToken'), exclusive('minAmountOut', 'slippageBps')];
+
+// Fields of the speed-up and cancel routes; nodes refuse replacements bumping fees by less than 10%
+const replaceRules = {
+  params: { jobId: uuid() },
+  body: { bumpPercent: integer({ min: 10, max: 500 }) }
+};
+
+// Filters of the swap history
+const historyQueryRules = {
+  fromToken: address({ required: false }),
+  toToken: address({ required: false }),
+  fromBlock: integer({ min: 0, max: Number.MAX_SAFE_INTEGER }),
+  toBlock: integer({ min: 0, max: Number.MAX_SAFE_INTEGER }),
+  since: integer({ min: 0, max: Number.MAX_SAFE_INTEGER }),
+  until: integer({ min: 0, max: Number.MAX_SAFE_INTEGER }),
+  minAmountIn: amount({ required: false }),
+  limit: integer({ min: 1, max: MAX_PAGE_SIZE }),
+  cursor: cursor()
+};
+const historyChecks = [
+  distinct('fromToken', 'toToken'),
+  // A human-readable minimum needs the decimals of the token sold
+  (values, input) => (input.minAmountIn !== undefined && !values.fromToken
+    ? [{ field: 'minAmountIn', message: 'requires fromToken (or use minAmountInRaw)' }]
+    : [])
+];
+
+/**
+ * Convert a swap job to its API representation
+ * @param {Object} job - Job record from the swap job service
+ * @returns {Object} The job with amounts in both raw and human-readable form
+ */
+function formatJob(job) {
+  const { request } = job;
+  return {
+    ...job,
+    request: {
+      ...request,
+      amountIn: formatAmount(BigInt(request.amountIn), request.fromDecimals),
+      quotedAmountOut: formatAmount(BigInt(request.quotedAmountOut), request.toDecimals),
+      minAmountOut: formatAmount(BigInt(request.minAmountOut), request.toDecimals)
+    },
+    amountOut: job.amountOut === null ? null : formatAmount(BigInt(job.amountOut), request.toDecimals)
+  };
+}
+
+/**
+ * Create the swap router
+ * @param {Object} deps
+ * @param {ethers.Provider} deps.provider - Provider for reads and gas estimates
+ * @param {ethers.Contract} deps.swapperContract - Swapper contract connected to the backend signer
+ * @param {Object} deps.tokenMetadata - Token metadata service
+ * @param {Object} deps.swapJobs - Swap job service
+ * @param {Object} deps.swapHistory - Swap history service
+ * @param {Object} deps.auth - Authentication middleware
+ * @returns {express.Router} The router
+ */
+function createSwapRouter({ provider, swapperContract, tokenMetadata, swapJobs, swapHistory, auth }) {
+  const router = express.Router();
+
+  /**
+   * Resolve the amounts of a swap request against a fresh quote
+   * Amounts are given either human-readable (e.g. `amount: "1.5"`) or in base
+   * units through the matching `Raw` field (e.g. `amountRaw: "1500000"`).
+   * The body must already have passed the swap validation rules.
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Token metadata, amountIn, minAmountOut, slippage and quote
+   */
+  async function prepareSwap(body) {
+    const { fromToken, toToken, slippageBps } = body;
+    const inputError = (message) => new ApiError(400, 'INVALID_REQUEST', message);
+
+    const hasMinAmountOut = body.minAmountOut !== undefined || body.minAmountOutRaw !== undefined;
+    const slippage = slippageBps === undefined ? DEFAULT_SLIPPAGE_BPS : BigInt(slippageBps);
+
+    const [fromMeta, toMeta] = await Promise.all([
+      tokenMetadata.getMetadata(fromToken),
+      tokenMetadata.getMetadata(toToken)
+    ]);
+
+    let amountIn;
+    let minOut;
+    try {
+      amountIn = parseAmountInput(body, 'amount', fromMeta.decimals);
+      minOut = parseAmountInput(body, 'minAmountOut', toMeta.decimals, { required: false });
+    } catch (error) {
+      throw inputError(error.message);
+    }
+
+    // Quote against current reserves; derive the bound from it unless one was given
+    const quote = await getQuote(swapperContract, fromToken, toToken, amountIn, {
+      fromDecimals: fromMeta.decimals,
+      toDecimals: toMeta.decimals
+    });
+    if (minOut === undefined) minOut = applySlippage(quote.amountOut, slippage);
+
+    return {
+      fromMeta,
+      toMeta,
+      amountIn,
+      minOut,
+      quote,
+      slippageBps: hasMinAmountOut ? null : Number(slippage),
+      deadline: body.deadline === undefined ? null : body.deadline
+    };
+  }
+
+  /**
+   * POST /swap
+   * Queue a token swap with a minimum output bound, signed by the backend wallet
+   * The swap is sent in the background; poll GET /swaps/:jobId for its outcome.
+   * Spends the backend wallet's tokens, so it needs an operator session or an admin token.
+   * @param {string} fromToken - Address of the token to swap from
+   * @param {string} toToken - Address of the token to swap to
+   * @param {string} amount|amountRaw - Amount of fromToken to swap
+   * @param {string} [minAmountOut|minAmountOutRaw] - Minimum amount of toToken to accept
+   * @param {number} [slippageBps] - Tolerance in basis points applied to a fresh quote (default 50)
+   * @param {number} [deadline] - Unix time (seconds) after which the swap is no longer sent
+   * @returns {Object} 202 with the queued job
+   */
+  router.post('/swap', auth.requireRole('operator', 'admin'), validate({ body: swapBodyRules, checks: swapChecks }), asyncHandler(async (req, res) => {
+    const { fromToken, toToken } = req.body;
+    const { fromMeta, toMeta, amountIn, minOut, quote, slippageBps, deadline } = await prepareSwap(req.body);
+
+    const job = swapJobs.submit({
+      fromToken,
+      toToken,
+      fromDecimals: fromMeta.decimals,
+      toDecimals: toMeta.decimals,
+      amountIn: amountIn.toString(),
+      quotedAmountOut: quote.amountOut.toString(),
+      minAmountOut: minOut.toString(),
+      slippageBps,
+      deadline,
+      requester: req.requester
+    });
+
+    res.status(202).json({
+      message: 'Swap queued',
+      jobId: job.id,
+      statusUrl: `/swaps/${job.id}`,
+      ...formatJob(job)
+    });
+  }));
+
+  /**
+   * GET /swaps
+   * List past swaps from the indexed TokenSwap events, newest first
+   * @param {string} [fromToken] - Only swaps selling this token
+   * @param {string} [toToken] - Only swaps buying this token
+   * @param {number} [fromBlock] - First block (inclusive)
+   * @param {number} [toBlock] - Last block (inclusive)
+   * @param {number} [since] - Earliest block time, unix seconds (inclusive)
+   * @param {number} [until] - Latest block time, unix seconds (inclusive)
+   * @param {string} [minAmountIn|minAmountInRaw] - Smallest amount sold (human-readable needs fromToken)
+   * @param {number} [limit] - Page size (default 20, at most 100)
+   * @param {string} [cursor] - nextCursor of the previous page
+   * @returns {Object} Swaps with token symbols, amounts, price and confirmations, and the next cursor
+   */
+  router.get('/swaps', validate({ query: historyQueryRules, checks: historyChecks }), asyncHandler(async (req, res) => {
+    const { fromToken, toToken, fromBlock, toBlock, since, until, limit } = req.query;
+
+    // Raw minimums need no decimals; human-readable ones are checked to come with fromToken
+    const decimals = req.query.minAmountIn === undefined ? 0 : (await tokenMetadata.getMetadata(fromToken)).decimals;
+    let minAmountIn;
+    try {
+      minAmountIn = parseAmountInput(req.query, 'minAmountIn', decimals, { required: false });
+    } catch (error) {
+      throw new ApiError(400, 'INVALID_REQUEST', error.message);
+    }
+
+    const page = await swapHistory.list(
+      { fromToken, toToken, fromBlock, toBlock, since, until, minAmountIn },
+      { cursor: req.query.cursor, limit }
+    );
+    res.json(page);
+  }));
+
+  /**
+   * GET /swaps/:jobId
+   * Get the status of a queued swap
+   * @param {string} jobId - Id returned by POST /swap
+   * @returns {Object} The job: status, transaction hash, block, gas used, revert reason and
+   *   the attempts (original, speed-ups and cancels) sent at its nonce
+   */
+  router.get('/swaps/:jobId', validate({ params: { jobId: uuid() } }), (req, res) => {
+    const job = swapJobs.get(req.params.jobId);
+    if (!job) {
+      throw new ApiError(404, 'JOB_NOT_FOUND', 'Swap job not found');
+    }
+    res.json(formatJob(job));
+  });
+
+  /**
+   * POST /swaps/:jobId/speedup
+   * Re-send a stuck swap at the same nonce with higher EIP-1559 fees
+   * The job follows whichever of its transactions is mined; the others are marked replaced.
+   * @param {string} jobId - Id returned by POST /swap
+   * @param {number} [bumpPercent] - Fee increase over the pending transaction, 10 to 500 (default 20)
+   * @returns {Object} 202 with the job and its new attempt
+   */
+  router.post('/swaps/:jobId/speedup', auth.requireRole('operator', 'admin'), validate(replaceRules), asyncHandler(async (req, res) => {
+    const job = await swapJobs.speedUp(req.params.jobId, { bumpPercent: req.body.bumpPercent });
+    res.status(202).json(formatJob(job));
+  }));
+
+  /**
+   * POST /swaps/:jobId/cancel
+   * Cancel a stuck swap with a zero-value transfer to the backend wallet at the same nonce
+   * The job ends cancelled if the transfer is mined first, mined if the swap is.
+   * @param {string} jobId - Id returned by POST /swap
+   * @param {number} [bumpPercent] - Fee increase over the pending transaction, 10 to 500 (default 20)
+   * @returns {Object} 202 with the job and its new attempt
+   */
+  router.post('/swaps/:jobId/cancel', auth.requireRole('operator', 'admin'), validate(replaceRules), asyncHandler(async (req, res) => {
+    const job = await swapJobs.cancel(req.params.jobId, { bumpPercent: req.body.bumpPercent });
+    res.status(202).json(formatJob(job));
+  }));
+
+  /**
+   * POST /swap/build
+   * Build unsigned transactions for a user to swap from their own wallet
+   * Takes the same fields as POST /swap plus the user's address.
+   * @param {string} userAddress - Address of the wallet that will sign the transactions
+   * @returns {Object} Ordered transaction requests (approve if needed, then swap)
+   */
+  router.post('/swap/build', validate({
+    body: { userAddress: address(), ...swapBodyRules },
+    checks: swapChecks
+  }), asyncHandler(async (req, res) => {
+    const { userAddress, fromToken, toToken } = req.body;
+    const { fromMeta, toMeta, amountIn, minOut, quote, slippageBps, deadline } = await prepareSwap(req.body);
+    const transactions = await buildSwapTransactions({
+      provider,
+      swapperContract,
+      from: userAddress,
+      fromToken,
+      toToken,
+      amountIn,
+      minAmountOut: minOut
+    });
+
+    res.json({
+      userAddress,
+      fromToken,
+      toToken,
+      tokens: { from: fromMeta, to: toMeta },
+      amountIn: formatAmount(amountIn, fromMeta.decimals),
+      quotedAmountOut: formatAmount(quote.amountOut, toMeta.decimals),
+      minAmountOut: formatAmount(minOut, toMeta.decimals),
+      slippageBps,
+      // The contract has no deadline argument; wallets should not send after this time
+      deadline,
+      transactions: transactions.map(serializeTransactionRequest)
+    });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  DEFAULT_SLIPPAGE_BPS,
+  createSwapRouter
+};
@@ -0,0 +1,46 @@
+/**
+ * Token routes
+ *
+ * The tokens the Swapper supports, reconstructed from its events and
+ * confirmed against the contract, and their on-chain price history.
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../errors');
+const { address, validate } = require('../validation');
+
+/**
+ * Create the token router
+ * @param {Object} deps
+ * @param {Object} deps.tokenRegistry - Token registry service
+ * @param {Object} deps.twapService - TWAP service
+ * @returns {express.Router} The router
+ */
+function createTokenRouter({ tokenRegistry, twapService }) {
+  const router = express.Router();
+
+  /**
+   * GET /tokens
+   * List the tokens currently supported by the Swapper
+   * @returns {Object} Tokens with symbol, name, decimals, Swapper balance and TWAP (null until available)
+   */
+  router.get('/tokens', asyncHandler(async (req, res) => {
+    res.json({ tokens: await tokenRegistry.list() });
+  }));
+
+  /**
+   * GET /tokens/:address/twap
+   * Get a token's TWAP from Swapper.getTWAP and the price observations behind it
+   * @param {string} address - Token address
+   * @returns {Object} TWAP, validity flag, why it is invalid (if so) and the raw observations
+   */
+  router.get('/tokens/:address/twap', validate({ params: { address: address() } }), asyncHandler(async (req, res) => {
+    res.json(await twapService.getTwap(req.params.address));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createTokenRouter
+};
@@ -2,121 +2,80 @@
  * ERC-20 Swap API Server
  * 
  * This server provides endpoints for interacting with an ERC-20 token swap smart contract
- * on the Ethereum blockchain (Sepolia testnet). It allows users to get swap rates and
- * execute token swaps.
+ * on the Ethereum blockchain (Sepolia testnet by default). It allows users to quote and
+ * execute token swaps. The app itself is built by createApp; this file only wires it to
+ * the network profile, RPC endpoint and wallet from the configuration.
  */
 
-const express = require('express');
-const cors = require('cors');
-const { ethers } = require('ethers');
 require('dotenv').config();
-
-const app = express();
-const port = process.env.PORT || 3000;
-
-// Setup Ethereum provider and wallet
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.BACKEND_WALLET_PRIVATE_KEY, provider);
-
-// Swapper contract configuration
-const SWAPPER_ABI = [
-  "function swap(address fromToken, address toToken, uint256 amount) external",
-  "function getSwapRate(address fromToken, address toToken) external view returns (uint256)"
-];
-const SWAPPER_ADDRESS = '0xe4f50A80A19a36077FDDA1Ce1bAAC9A208FAb97d'; // Contract address on Sepolia
-const swapperContract = new ethers.Contract(SWAPPER_ADDRESS, SWAPPER_ABI, wallet);
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Routes
-
-/**
- * GET /
- * Welcome message for the API
- */
-app.get('/', (req, res) => {
-  res.json({ message: 'Welcome to the ERC-20 Swap API' });
-});
+const path = require('path');
+const { ethers } = require('ethers');
+const { createApp } = require('./app');
+const { loadConfig, assertChainId } = require('./config');
+const { createNonceManager } = require('./services/nonceManager');
+const { createJsonStore } = require('./storage/jsonStore');
 
 /**
- * POST /swap
- * Execute a token swap
- * @param {string} fromToken - Address of the token to swap from
- * @param {string} toToken - Address of the token to swap to
- * @param {string} amount - Amount of tokens to swap (in token's smallest unit)
- * @returns {Object} Swap result including transaction hash
+ * Load the configuration, connect to the RPC endpoint and start listening
  */
-app.post('/swap', async (req, res) => {
-  try {
-    const { fromToken, toToken, amount } = req.body;
-    
-    // Get swap rate
-    const rate = await swapperContract.getSwapRate(fromToken, toToken);
-    
-    // Perform swap
-    const tx = await swapperContract.swap(fromToken, toToken, ethers.parseUnits(amount, 18));
-    const receipt = await tx.wait();
+async function main() {
+  const config = loadConfig();
 
-    res.json({
-      message: 'Swap executed',
-      fromToken,
-      toToken,
-      amount,
-      rate: rate.toString(),
-      transactionHash: receipt.transactionHash,
-      status: 'completed'
-    });
-  } catch (error) {
-    console.error('Swap error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+  // Setup Ethereum provider and wallet
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  await assertChainId(provider, config);
+  // Both wallets send through nonce managers sharing one record of in-flight transactions.
+  // An owner key equal to the backend key reuses its manager: two managers would hand out the same nonces.
+  const nonces = createJsonStore(path.join(config.dataDir, 'nonces.json'));
+  const backendKey = new ethers.Wallet(config.privateKey, provider);
+  const ownerKey = config.ownerPrivateKey ? new ethers.Wallet(config.ownerPrivateKey, provider) : backendKey;
+  const wallet = createNonceManager({ signer: backendKey, store: nonces });
+  const ownerWallet = ownerKey.address === backendKey.address
+    ? wallet
+    : createNonceManager({ signer: ownerKey, store: nonces });
 
-/**
- * GET /swap-rate
- * Get the current swap rate between two tokens
- * @param {string} fromToken - Address of the token to swap from
- * @param {string} toToken - Address of the token to swap to
- * @returns {Object} Swap rate
- */
-app.get('/swap-rate', async (req, res) => {
-  try {
-    const { fromToken, toToken } = req.query;
-    const rate = await swapperContract.getSwapRate(fromToken, toToken);
-    res.json({ rate: rate.toString() });
-  } catch (error) {
-    console.error('Error getting swap rate:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+  const app = createApp({
+    provider,
+    signer: wallet,
+    ownerSigner: ownerWallet,
+    config: {
+      swapperAddress: config.swapperAddress,
+      deployment: config.deployment,
+      deploymentBlock: config.deploymentBlock,
+      finalityDepth: config.finalityDepth,
+      adminTokens: config.adminTokens,
+      operators: config.operators,
+      siweDomain: config.siweDomain,
+      rateLimitPerIp: config.rateLimitPerIp,
+      trustProxy: config.trustProxy,
+      swapJobsFile: path.join(config.dataDir, 'swap-jobs.json'),
+      eventsFile: path.join(config.dataDir, 'events.json'),
+      indexerStateFile: path.join(config.dataDir, 'indexer-state.json'),
+      auditLogFile: path.join(config.dataDir, 'admin-audit.log'),
+      sessionsFile: path.join(config.dataDir, 'sessions.json'),
+      apiKeysFile: path.join(config.dataDir, 'api-keys.json')
+    }
+  });
 
-/**
- * GET /latest-block
- * Get information about the latest Ethereum block
- * @returns {Object} Latest block information
- */
-app.get('/latest-block', async (req, res) => {
-  try {
-    const block = await provider.getBlock('latest');
-    res.json(block);
-  } catch (error) {
-    console.error('Error getting latest block:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+  const server = app.listen(config.port, () => {
+    console.log(`Server running at http://localhost:${config.port} (${config.network}, Swapper ${config.swapperAddress})`);
+  });
+  const services = [app.locals.swapJobs, app.locals.adminOperations, app.locals.indexer, app.locals.siwe];
+  for (const service of services) service.start();
 
-// Catch-all route for undefined routes
-app.use((req, res) => {
-  res.status(404).json({ error: 'Not Found' });
-});
+  // Stop the pollers and sweeps so the process can exit once open connections close
+  const shutdown = () => {
+    for (const service of services) service.stop();
+    server.close();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
 
 // Start the server
 if (require.main === module) {
-  app.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
   });
 }
-
-module.exports = app;
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Account activity
+ *
+ * A wallet's swaps and liquidity adds, read from the indexed events the
+ * indexer attributed to it (see services/eventIndexer). Rows come back newest
+ * first with running totals per token, accumulated in chain order: how much
+ * of each token the wallet has sold, bought and added as liquidity up to and
+ * including that row.
+ */
+
+const { formatAmount } = require('./tokenMetadata');
+const { executionPrice } = require('./quoteEngine');
+const { paginate } = require('./pagination');
+
+const ACTIVITY_EVENTS = ['TokenSwap', 'LiquidityAdded'];
+
+/**
+ * Create the account activity service
+ * @param {Object} deps
+ * @param {Object} deps.indexer - Event indexer
+ * @param {Object} deps.tokenMetadata - Token metadata service
+ * @returns {Object} The account activity service
+ */
+function createAccountActivityService({ indexer, tokenMetadata }) {
+  /**
+   * Express per-token running totals in both raw and human-readable form
+   * @param {Object} totals - Totals of one token in base units
+   * @param {Object} meta - Token metadata
+   * @returns {Object} Sold, bought and liquidity added
+   */
+  function formatTotals(totals, meta) {
+    return {
+      sold: formatAmount(totals.sold, meta.decimals),
+      bought: formatAmount(totals.bought, meta.decimals),
+      liquidityAdded: formatAmount(totals.liquidityAdded, meta.decimals)
+    };
+  }
+
+  /**
+   * Convert an attributed event to an activity row
+   * @param {Object} event - Indexed event with the running totals of its tokens
+   * @returns {Promise<Object>} The row
+   */
+  async function toRow({ event, totals }) {
+    const common = {
+      id: event.id,
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp,
+      sender: event.sender,
+      confirmations: event.confirmations,
+      final: event.final
+    };
+
+    if (event.event === 'LiquidityAdded') {
+      const meta = await tokenMetadata.getMetadata(event.args.token);
+      return {
+        type: 'liquidityAdded',
+        ...common,
+        token: meta,
+        amount: formatAmount(BigInt(event.args.amount), meta.decimals),
+        runningTotals: { [meta.address]: formatTotals(totals[0], meta) }
+      };
+    }
+
+    const { from, to, amountIn, amountOut } = event.args;
+    const [fromMeta, toMeta] = await Promise.all([
+      tokenMetadata.getMetadata(from),
+      tokenMetadata.getMetadata(to)
+    ]);
+    return {
+      type: 'swap',
+      ...common,
+      fromToken: fromMeta,
+      toToken: toMeta,
+      amountIn: formatAmount(BigInt(amountIn), fromMeta.decimals),
+      amountOut: formatAmount(BigInt(amountOut), toMeta.decimals),
+      price: executionPrice(BigInt(amountIn), BigInt(amountOut), fromMeta.decimals, toMeta.decimals),
+      runningTotals: {
+        [fromMeta.address]: formatTotals(totals[0], fromMeta),
+        [toMeta.address]: formatTotals(totals[1], toMeta)
+      }
+    };
+  }
+
+  return {
+    /**
+     * List a wallet's activity, newest first
+     * @param {string} account - Wallet address
+     * @param {Object} [page]
+     * @param {Object} [page.cursor] - Decoded cursor of the previous page
+     * @param {number} [page.limit] - Page size
+     * @returns {Promise<Object>} The page, the next cursor and the wallet's overall totals per token
+     */
+    async list(account, page = {}) {
+      const events = indexer.events().filter((event) =>
+        ACTIVITY_EVENTS.includes(event.event)
+        && event.account
+        && event.account.toLowerCase() === account.toLowerCase());
+
+      // Accumulate in chain order; each row keeps a snapshot of its tokens' totals
+      const totalsByToken = new Map();
+      const totalsOf = (token) => {
+        const key = token.toLowerCase();
+        if (!totalsByToken.has(key)) totalsByToken.set(key, { token, sold: 0n, bought: 0n, liquidityAdded: 0n });
+        return totalsByToken.get(key);
+      };
+      const rows = events.map((event) => {
+        if (event.event === 'LiquidityAdded') {
+          const totals = totalsOf(event.args.token);
+          totals.liquidityAdded += BigInt(event.args.amount);
+          return { blockNumber: event.blockNumber, logIndex: event.logIndex, event, totals: [{ ...totals }] };
+        }
+        const sold = totalsOf(event.args.from);
+        const bought = totalsOf(event.args.to);
+        sold.sold += BigInt(event.args.amountIn);
+        bought.bought += BigInt(event.args.amountOut);
+        return { blockNumber: event.blockNumber, logIndex: event.logIndex, event, totals: [{ ...sold }, { ...bought }] };
+      });
+
+      const { items, nextCursor } = paginate(rows, page);
+      const totals = await Promise.all([...totalsByToken.values()].map(async (entry) => {
+        const meta = await tokenMetadata.getMetadata(entry.token);
+        return { token: meta, ...formatTotals(entry, meta) };
+      }));
+      return { account, activity: await Promise.all(items.map(toRow)), nextCursor, totals };
+    }
+  };
+}
+
+module.exports = {
+  createAccountActivityService
+};
@@ -0,0 +1,231 @@
+/**
+ * Swapper owner operations
+ *
+ * Sends the Swapper's onlyOwner functions from the configured owner signer.
+ * Before anything is sent the signer is checked against owner(), so a
+ * misconfigured key fails with a clear 403 instead of a reverted transaction.
+ *
+ * Every operation is written to the audit log: one entry when it is submitted
+ * (or rejected before submission) and one when its transaction is mined,
+ * fails or is replaced. Both entries share the operation id. Submitted
+ * operations are polled through the transaction tracker, like swap jobs, and
+ * the ones the log leaves unresolved are picked up again on restart.
+ */
+
+const crypto = require('crypto');
+const { ApiError, revertReasonOf, toApiError } = require('../errors');
+const { DEFAULT_POLL_INTERVAL_MS } = require('./swapJobs');
+const { TRANSACTION_STATE, createTransactionTracker } = require('./transactionTracker');
+
+// Mirrored from Swapper.setFee, which rejects anything above 5%
+const MAX_FEE_NUMERATOR = 50;
+
+const OPERATION_STATUS = {
+  SUBMITTED: 'submitted',
+  REJECTED: 'rejected',
+  MINED: 'mined',
+  FAILED: 'failed',
+  REPLACED: 'replaced'
+};
+
+// Owner functions by action name, mapping audited params to call arguments
+const ADMIN_ACTIONS = {
+  addSupportedToken: ({ token }) => [token],
+  removeSupportedToken: ({ token }) => [token],
+  setFee: ({ feeNumerator }) => [BigInt(feeNumerator)],
+  pause: () => [],
+  unpause: () => [],
+  withdrawToken: ({ token, amount }) => [token, BigInt(amount)],
+  removeLiquidity: ({ token, amount }) => [token, BigInt(amount)],
+  transferOwnership: ({ newOwner }) => [newOwner]
+};
+
+/**
+ * Create the admin operations service
+ * @param {Object} deps
+ * @param {ethers.Contract} deps.swapperContract - Swapper contract connected to the owner signer
+ * @param {ethers.Signer|null} deps.ownerSigner - Signer expected to own the Swapper
+ * @param {ethers.Provider} deps.provider - Provider used to follow sent transactions
+ * @param {Object} deps.auditLog - Append-only audit log (see storage/auditLog)
+ * @param {number} [deps.pollIntervalMs=DEFAULT_POLL_INTERVAL_MS] - Delay between polls of submitted operations
+ * @returns {Object} The admin operations service
+ */
+function createAdminService({ swapperContract, ownerSigner, provider, auditLog, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS }) {
+  const tracker = createTransactionTracker({ provider });
+  // Submitted audit entries of the operations whose outcome is not logged yet, by id
+  const pending = new Map();
+  let polling = null;
+  let running = false;
+  let timer = null;
+
+  /**
+   * Read the Swapper owner and the configured signer
+   * @returns {Promise<{ owner: string, signer: string, isOwner: boolean }>} Both addresses
+   * @throws {ApiError} 503 OWNER_SIGNER_UNAVAILABLE if no owner signer is configured
+   */
+  async function ownership() {
+    if (!ownerSigner) {
+      throw new ApiError(503, 'OWNER_SIGNER_UNAVAILABLE', 'No owner signer is configured');
+    }
+    const [owner, signer] = await Promise.all([swapperContract.owner(), ownerSigner.getAddress()]);
+    return { owner, signer, isOwner: owner.toLowerCase() === signer.toLowerCase() };
+  }
+
+  /**
+   * Log the outcome of a submitted operation, once
+   * @param {string} id - Operation id
+   * @param {Object} fields - Status and outcome details
+   */
+  function settle(id, fields) {
+    const submitted = pending.get(id);
+    if (!submitted) return;
+    pending.delete(id);
+    const { action, params, requester, transactionHash } = submitted;
+    auditLog.append({ id, action, params, requester, transactionHash, ...fields });
+  }
+
+  /**
+   * Check a submitted operation's transaction and log its outcome once known
+   * @param {string} id - Operation id
+   * @returns {Promise<void>}
+   */
+  async function check(id) {
+    const submitted = pending.get(id);
+    if (!submitted) return;
+    const from = submitted.from || (ownerSigner ? await ownerSigner.getAddress() : null);
+    const { state, receipt } = await tracker.check(id, { hashes: [submitted.transactionHash], from, nonce: submitted.nonce });
+
+    if (state === TRANSACTION_STATE.MINED && receipt.status === 1) {
+      settle(id, { status: OPERATION_STATUS.MINED, blockNumber: receipt.blockNumber });
+    } else if (state === TRANSACTION_STATE.MINED) {
+      const revert = await tracker.revertOf(receipt);
+      console.error(`Admin operation ${id} (${submitted.action}) reverted: ${revert ? revertReasonOf(revert) : 'unknown reason'}`);
+      settle(id, {
+        status: OPERATION_STATUS.FAILED,
+        blockNumber: receipt.blockNumber,
+        error: 'Transaction reverted',
+        errorCode: revert ? toApiError(revert).code : 'CONTRACT_REVERTED',
+        revertReason: revert ? revertReasonOf(revert) : null
+      });
+    } else if (state === TRANSACTION_STATE.REPLACED) {
+      settle(id, { status: OPERATION_STATUS.REPLACED, error: `Nonce ${submitted.nonce} was used by another transaction` });
+    } else if (state === TRANSACTION_STATE.DROPPED) {
+      settle(id, { status: OPERATION_STATUS.FAILED, error: 'Transaction dropped by the node', errorCode: 'TRANSACTION_DROPPED' });
+    }
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      await service.poll();
+      if (running) schedule();
+    }, pollIntervalMs);
+  }
+
+  const service = {
+    ownership,
+
+    /**
+     * Send an owner operation
+     * The call is not awaited past submission; its outcome lands in the audit log.
+     * @param {string} action - One of ADMIN_ACTIONS
+     * @param {Object} params - Action parameters, amounts as base-unit strings
+     * @param {Object} requester - Who asked for it, as set by the auth middleware
+     * @returns {Promise<Object>} The submitted audit entry
+     * @throws {ApiError} 403 SIGNER_NOT_OWNER if the signer does not own the Swapper,
+     *   or the decoded revert if the call would fail
+     */
+    async execute(action, params, requester) {
+      const entry = { id: crypto.randomUUID(), action, params, requester };
+      let tx;
+      try {
+        const { owner, signer, isOwner } = await ownership();
+        if (!isOwner) {
+          throw new ApiError(403, 'SIGNER_NOT_OWNER', `Owner signer ${signer} is not the Swapper owner ${owner}`);
+        }
+        tx = await swapperContract[action](...ADMIN_ACTIONS[action](params));
+      } catch (error) {
+        const apiError = toApiError(error);
+        auditLog.append({ ...entry, status: OPERATION_STATUS.REJECTED, error: apiError.message, errorCode: apiError.code });
+        throw error;
+      }
+
+      const submitted = auditLog.append({
+        ...entry,
+        status: OPERATION_STATUS.SUBMITTED,
+        transactionHash: tx.hash,
+        from: tx.from,
+        nonce: tx.nonce
+      });
+      pending.set(entry.id, submitted);
+      // Not awaited: polling follows the transaction from here
+      check(entry.id).catch((error) => console.error(`Unable to check admin operation ${entry.id}:`, error));
+      return submitted;
+    },
+
+    /**
+     * List audit log entries, newest first
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Keep only the most recent entries
+     * @returns {Array<Object>} The entries
+     */
+    audit(options) {
+      return auditLog.list(options);
+    },
+
+    /**
+     * Check every submitted operation once
+     * Concurrent calls share the poll already in progress.
+     * @returns {Promise<void>}
+     */
+    poll() {
+      if (!polling) {
+        polling = Promise.all([...pending.keys()].map((id) => check(id).catch((error) => {
+          console.error(`Unable to check admin operation ${id}:`, error);
+        }))).finally(() => {
+          polling = null;
+        });
+      }
+      return polling;
+    },
+
+    /**
+     * Pick up operations the audit log leaves submitted, then check them
+     * @returns {Promise<void>}
+     */
+    async resume() {
+      for (const entry of auditLog.list().reverse()) {
+        if (entry.status === OPERATION_STATUS.SUBMITTED) pending.set(entry.id, entry);
+        else pending.delete(entry.id);
+      }
+      await service.poll();
+    },
+
+    /**
+     * Resume unresolved operations, then keep polling submitted ones
+     */
+    async start() {
+      if (running) return;
+      running = true;
+      await service.resume();
+      if (running) schedule();
+    },
+
+    /**
+     * Stop polling
+     */
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  return service;
+}
+
+module.exports = {
+  MAX_FEE_NUMERATOR,
+  OPERATION_STATUS,
+  ADMIN_ACTIONS,
+  createAdminService
+};
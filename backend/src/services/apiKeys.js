@@ -0,0 +1,118 @@
+/**
+ * API keys for internal services
+ *
+ * Keys are issued by an admin, shown once and stored only as a SHA-256
+ * digest. A key reads `swk_<id>.<secret>`: the id finds the record, the
+ * secret is compared against the stored digest. Revoked keys are kept, marked
+ * with revokedAt, so their usage history still has a name to go with it.
+ *
+ * Each key has a scope that grants roles (see auth) and a rate limit in
+ * requests per minute.
+ */
+
+const crypto = require('crypto');
+const { ApiError } = require('../errors');
+
+// Roles granted by each scope
+const API_KEY_SCOPES = {
+  'read-only': [],
+  trade: ['operator'],
+  admin: ['admin']
+};
+
+// Requests per minute of a key issued without an explicit limit
+const DEFAULT_KEY_RATE_LIMIT = 600;
+
+const KEY_PATTERN = /^swk_([0-9a-f]{16})\.([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Digest of a key secret
+ * @param {string} secret - Key secret
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * API representation of a key record (never includes the digest)
+ * @param {Object} record - Stored record
+ * @returns {Object} The key without its digest
+ */
+function toPublic({ secretHash, ...record }) {
+  return record;
+}
+
+/**
+ * Create the API key service
+ * @param {Object} deps
+ * @param {Object} deps.store - Persistent store for key records (see storage/jsonStore)
+ * @returns {Object} The API key service
+ */
+function createApiKeyService({ store }) {
+  return {
+    /**
+     * Issue a key
+     * @param {Object} options
+     * @param {string} options.name - Service the key is for
+     * @param {string} options.scope - One of API_KEY_SCOPES
+     * @param {number} [options.rateLimit=DEFAULT_KEY_RATE_LIMIT] - Requests per minute
+     * @param {Object} [options.createdBy] - Requester who issued it
+     * @returns {Object} The key record plus the key itself, which is not stored
+     */
+    issue({ name, scope, rateLimit = DEFAULT_KEY_RATE_LIMIT, createdBy = null }) {
+      const id = crypto.randomBytes(8).toString('hex');
+      const secret = crypto.randomBytes(32).toString('base64url');
+      const record = store.set(id, {
+        id,
+        name,
+        scope,
+        rateLimit,
+        secretHash: digest(secret).toString('hex'),
+        createdBy,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      });
+      return { ...toPublic(record), key: `swk_${id}.${secret}` };
+    },
+
+    /**
+     * Revoke a key
+     * @param {string} id - Key id
+     * @returns {Object} The revoked key
+     * @throws {ApiError} 404 API_KEY_NOT_FOUND for unknown ids
+     */
+    revoke(id) {
+      const record = store.get(id);
+      if (!record) throw new ApiError(404, 'API_KEY_NOT_FOUND', 'API key not found');
+      if (record.revokedAt) return toPublic(record);
+      return toPublic(store.update(id, { revokedAt: new Date().toISOString() }));
+    },
+
+    /**
+     * Look up the record of a key
+     * @param {string} key - Key as sent by the client
+     * @returns {Object|null} The key record, or null if unknown, malformed or revoked
+     */
+    authenticate(key) {
+      const match = KEY_PATTERN.exec(key);
+      const record = match && store.get(match[1]);
+      if (!record || record.revokedAt) return null;
+      return crypto.timingSafeEqual(digest(match[2]), Buffer.from(record.secretHash, 'hex')) ? toPublic(record) : null;
+    },
+
+    /**
+     * List every key, revoked ones included
+     * @returns {Array<Object>} The keys, oldest first
+     */
+    list() {
+      return store.values().map(toPublic).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_KEY_RATE_LIMIT,
+  createApiKeyService
+};
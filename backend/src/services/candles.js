@@ -0,0 +1,175 @@
+/**
+ * OHLCV candles
+ *
+ * Rolls indexed TokenSwap events up into open/high/low/close/volume candles
+ * per token pair and interval. Candles are kept in memory: built from the
+ * index at startup, extended as the indexer reports new swaps, and rebuilt
+ * from the index after a reorg rollback.
+ *
+ * Each pair is stored once, with the lower address as base, and swaps in both
+ * directions count towards it. A price point is kept as the raw base and quote
+ * amounts of the swap that set it, so the same candle can be served in either
+ * orientation and formatted with each token's decimals.
+ */
+
+const { formatAmount } = require('./tokenMetadata');
+const { executionPrice } = require('./quoteEngine');
+
+// Supported candle intervals, in seconds
+const CANDLE_INTERVALS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+/**
+ * Compare two price points (quote per base) without losing precision
+ * @param {Object} a - Point with base and quote amounts
+ * @param {Object} b - Point with base and quote amounts
+ * @returns {number} Negative, zero or positive as a is below, equal to or above b
+ */
+function comparePrices(a, b) {
+  const left = a.quote * b.base;
+  const right = b.quote * a.base;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Express a swap as a price point of its pair, seen from the pair's base token
+ * @param {Object} event - Indexed TokenSwap event
+ * @param {string} base - Lowercase address of the pair's base token
+ * @returns {{ base: bigint, quote: bigint }} Base and quote amounts traded
+ */
+function toPoint(event, base) {
+  const { from, amountIn, amountOut } = event.args;
+  return from.toLowerCase() === base
+    ? { base: BigInt(amountIn), quote: BigInt(amountOut) }
+    : { base: BigInt(amountOut), quote: BigInt(amountIn) };
+}
+
+/**
+ * Key of a token pair, independent of direction
+ * @param {string} a - Token address
+ * @param {string} b - Token address
+ * @returns {{ key: string, base: string }} Pair key and lowercase base token
+ */
+function pairOf(a, b) {
+  const [base, quote] = [a.toLowerCase(), b.toLowerCase()].sort();
+  return { key: `${base}:${quote}`, base };
+}
+
+/**
+ * Create the candle service
+ * @param {Object} deps
+ * @param {Object} deps.indexer - Event indexer
+ * @param {Object} deps.tokenMetadata - Token metadata service
+ * @returns {Object} The candle service
+ */
+function createCandleService({ indexer, tokenMetadata }) {
+  // Candles by `${pairKey}:${interval}`, each a Map of bucket start -> candle
+  let series = new Map();
+
+  /**
+   * Add one swap to the candles of every interval
+   * @param {Object} event - Indexed TokenSwap event with a timestamp
+   */
+  function addSwap(event) {
+    // Events indexed before timestamps were recorded cannot be placed in a bucket
+    if (event.event !== 'TokenSwap' || typeof event.timestamp !== 'number') return;
+    const { key, base } = pairOf(event.args.from, event.args.to);
+    const point = toPoint(event, base);
+    if (point.base === 0n) return;
+
+    for (const [interval, seconds] of Object.entries(CANDLE_INTERVALS)) {
+      const seriesKey = `${key}:${interval}`;
+      if (!series.has(seriesKey)) series.set(seriesKey, new Map());
+      const buckets = series.get(seriesKey);
+      const time = event.timestamp - (event.timestamp % seconds);
+
+      const candle = buckets.get(time);
+      if (!candle) {
+        buckets.set(time, { time, open: point, high: point, low: point, close: point, volumeBase: point.base, volumeQuote: point.quote, trades: 1 });
+        continue;
+      }
+      if (comparePrices(point, candle.high) > 0) candle.high = point;
+      if (comparePrices(point, candle.low) < 0) candle.low = point;
+      candle.close = point;
+      candle.volumeBase += point.base;
+      candle.volumeQuote += point.quote;
+      candle.trades += 1;
+    }
+  }
+
+  /**
+   * Rebuild every candle from the indexed events
+   */
+  function rebuild() {
+    series = new Map();
+    for (const event of indexer.events()) addSwap(event);
+  }
+
+  rebuild();
+  indexer.subscribe((change) => {
+    if (change.type === 'events') {
+      change.events.forEach(addSwap);
+    } else if (change.type === 'rollback') {
+      rebuild();
+    }
+  });
+
+  return {
+    /**
+     * Get the candles of a pair, oldest first
+     * Only intervals with at least one swap have a candle.
+     * @param {string} from - Base token: prices are in toToken per fromToken
+     * @param {string} to - Quote token
+     * @param {Object} options
+     * @param {string} options.interval - One of CANDLE_INTERVALS
+     * @param {number} [options.since] - Earliest candle start, unix seconds (inclusive)
+     * @param {number} [options.until] - Latest candle start, unix seconds (inclusive)
+     * @param {number} [options.limit] - Keep only the most recent candles
+     * @returns {Promise<Object>} Token metadata, interval and candles
+     */
+    async getCandles(from, to, { interval, since, until, limit }) {
+      const { key, base } = pairOf(from, to);
+      const inverted = from.toLowerCase() !== base;
+      const [fromMeta, toMeta] = await Promise.all([tokenMetadata.getMetadata(from), tokenMetadata.getMetadata(to)]);
+
+      let candles = [...(series.get(`${key}:${interval}`) || new Map()).values()]
+        .filter((candle) => (since === undefined || candle.time >= since) && (until === undefined || candle.time <= until))
+        .sort((a, b) => a.time - b.time);
+      if (limit !== undefined) candles = candles.slice(-limit);
+
+      // Seen from the other token, base and quote swap places and so do high and low
+      const orient = (point) => (inverted ? { base: point.quote, quote: point.base } : point);
+      const price = (point) => {
+        const { base: amountIn, quote: amountOut } = orient(point);
+        return executionPrice(amountIn, amountOut, fromMeta.decimals, toMeta.decimals);
+      };
+
+      return {
+        fromToken: fromMeta,
+        toToken: toMeta,
+        interval,
+        candles: candles.map((candle) => ({
+          time: candle.time,
+          open: price(candle.open),
+          high: price(inverted ? candle.low : candle.high),
+          low: price(inverted ? candle.high : candle.low),
+          close: price(candle.close),
+          volume: {
+            from: formatAmount(inverted ? candle.volumeQuote : candle.volumeBase, fromMeta.decimals),
+            to: formatAmount(inverted ? candle.volumeBase : candle.volumeQuote, toMeta.decimals)
+          },
+          trades: candle.trades
+        }))
+      };
+    }
+  };
+}
+
+module.exports = {
+  CANDLE_INTERVALS,
+  createCandleService
+};
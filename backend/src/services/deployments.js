@@ -0,0 +1,80 @@
+/**
+ * Swapper deployment registry
+ *
+ * Reads the broadcast files `forge script script/DeploySwapper.s.sol --broadcast`
+ * writes to smart-contracts/broadcast/DeploySwapper.s.sol/<chainId>/run-latest.json
+ * and resolves, per chainId, the Swapper address, deploy transaction, deploy
+ * block and the owner passed to the constructor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Broadcast output of the deploy script in the smart-contracts project
+const BROADCAST_DIR = path.resolve(__dirname, '../../../smart-contracts/broadcast/DeploySwapper.s.sol');
+
+/**
+ * Parse one broadcast run into a deployment record
+ * @param {Object} run - Parsed run-latest.json
+ * @param {number} chainId - Chain the run was broadcast to
+ * @returns {Object|null} The deployment, or null if the run did not deploy a Swapper
+ */
+function parseBroadcast(run, chainId) {
+  const transaction = (run.transactions || []).find((tx) =>
+    tx.contractName === 'Swapper' && tx.transactionType === 'CREATE' && tx.contractAddress);
+  if (!transaction) return null;
+
+  // The receipt is missing when the run was broadcast but never confirmed
+  const receipt = (run.receipts || []).find((r) =>
+    r.transactionHash.toLowerCase() === transaction.hash.toLowerCase());
+  if (!receipt || Number(receipt.status) !== 1) return null;
+
+  const [owner] = transaction.arguments || [];
+  return {
+    chainId,
+    address: ethers.getAddress(transaction.contractAddress),
+    transactionHash: transaction.hash,
+    blockNumber: Number(receipt.blockNumber),
+    blockHash: receipt.blockHash,
+    deployer: ethers.getAddress(transaction.transaction.from),
+    owner: owner ? ethers.getAddress(owner) : null,
+    // Broadcast timestamps are in seconds
+    deployedAt: run.timestamp ? new Date(run.timestamp * 1000).toISOString() : null,
+    commit: run.commit || null
+  };
+}
+
+/**
+ * Load the latest Swapper deployment for a chain
+ * @param {number|bigint} chainId - Chain id
+ * @param {Object} [options]
+ * @param {string} [options.broadcastDir=BROADCAST_DIR] - Broadcast directory of the deploy script
+ * @returns {Object|null} The deployment, or null if the chain has none
+ */
+function findDeployment(chainId, { broadcastDir = BROADCAST_DIR } = {}) {
+  const file = path.join(broadcastDir, String(chainId), 'run-latest.json');
+  if (!fs.existsSync(file)) return null;
+  return parseBroadcast(JSON.parse(fs.readFileSync(file, 'utf8')), Number(chainId));
+}
+
+/**
+ * Load the latest Swapper deployment of every chain that has a broadcast
+ * @param {Object} [options]
+ * @param {string} [options.broadcastDir=BROADCAST_DIR] - Broadcast directory of the deploy script
+ * @returns {Array<Object>} Deployments, one per chain
+ */
+function listDeployments({ broadcastDir = BROADCAST_DIR } = {}) {
+  if (!fs.existsSync(broadcastDir)) return [];
+  return fs.readdirSync(broadcastDir)
+    .filter((entry) => /^\d+$/.test(entry))
+    .map((entry) => findDeployment(entry, { broadcastDir }))
+    .filter(Boolean);
+}
+
+module.exports = {
+  BROADCAST_DIR,
+  parseBroadcast,
+  findDeployment,
+  listDeployments
+};
@@ -0,0 +1,478 @@
+/**
+ * Swapper event indexer
+ *
+ * Backfills the Swapper's logs from its deployment block, then polls for new
+ * blocks and indexes their logs as they arrive. Decoded events are kept in a
+ * persistent store keyed by block and log index, and the last indexed block is
+ * checkpointed after each batch so a restarted indexer carries on where it
+ * stopped. Events are written before the checkpoint, so a crash in between
+ * only re-indexes (and overwrites) the same logs. The store is only read at
+ * startup: events are also kept in memory in chain order, so batches append
+ * to the end and rollbacks cut the tail off without sorting again.
+ *
+ * Reorgs: the checkpoint keeps the hashes of the most recent blocks. Each new
+ * block near the head must name the recorded hash as its parent, and each log
+ * must come from the recorded block. On a mismatch the indexer walks back to
+ * the last block whose hash still matches, drops the events above it and
+ * indexes again from there. Events are reported with their confirmation count
+ * and count as final once they are `finalityDepth` blocks deep.
+ *
+ * Swaps and liquidity adds are attributed to a wallet: the indexer reads the
+ * transaction receipt and records its sender, the ERC-20 Transfer logs it
+ * contains, and the `account` whose tokens were pulled into the Swapper (the
+ * caller of swap()/addLiquidity(), which may differ from the sender when the
+ * call goes through another contract).
+ *
+ * Other services follow the index through subscribe(): listeners are told
+ * about each batch of new events and about every reorg rollback.
+ */
+
+const { ethers } = require('ethers');
+const { swapperInterface } = require('../contracts/swapper');
+const { erc20Interface } = require('../contracts/erc20');
+
+// Events recorded by the indexer
+const INDEXED_EVENTS = [
+  'TokenSwap',
+  'LiquidityAdded',
+  'LiquidityRemoved',
+  'FeeUpdated',
+  'SupportedTokenAdded',
+  'ZeroLiquidityPrice',
+  'Paused',
+  'Unpaused',
+  'OwnershipTransferred'
+];
+
+// Largest block range requested in one eth_getLogs call
+const DEFAULT_BATCH_SIZE = 2000;
+
+// How often the indexer looks for new blocks once it has caught up
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+
+// Confirmations after which an event is considered final
+const DEFAULT_FINALITY_DEPTH = 12;
+
+// Number of recent block hashes kept to detect reorgs
+const DEFAULT_REORG_WINDOW = 64;
+
+// Events attributed to the wallet that paid tokens into the Swapper, with the token and amount paid
+const ATTRIBUTED_EVENTS = {
+  TokenSwap: (args) => ({ token: args.from, amount: args.amountIn }),
+  LiquidityAdded: (args) => ({ token: args.token, amount: args.amount })
+};
+
+const CHECKPOINT_KEY = 'checkpoint';
+
+/**
+ * Convert decoded event arguments to a JSON-friendly object
+ * @param {ethers.LogDescription} parsed - The decoded log
+ * @returns {Object} Arguments by name, integers as decimal strings
+ */
+function serializeArgs(parsed) {
+  return Object.fromEntries(parsed.fragment.inputs.map((input, i) => {
+    const value = parsed.args[i];
+    return [input.name, typeof value === 'bigint' ? value.toString() : value];
+  }));
+}
+
+/**
+ * Decode a raw Swapper log into an event record
+ * @param {ethers.Log} log - The log
+ * @param {number|null} [timestamp=null] - Timestamp (seconds) of the log's block
+ * @returns {Object|null} The event record, or null if the log is not a Swapper event
+ */
+function decodeLog(log, timestamp = null) {
+  const parsed = swapperInterface.parseLog({ topics: [...log.topics], data: log.data });
+  if (!parsed) return null;
+  return {
+    id: `${log.blockNumber}-${log.index}`,
+    event: parsed.name,
+    args: serializeArgs(parsed),
+    address: log.address,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    transactionIndex: log.transactionIndex,
+    logIndex: log.index,
+    timestamp
+  };
+}
+
+/**
+ * Decode the ERC-20 Transfer logs of a receipt
+ * @param {ethers.TransactionReceipt} receipt - The receipt
+ * @returns {Array<Object>} Transfers: token, from, to and value (decimal string)
+ */
+function decodeTransfers(receipt) {
+  const transferTopic = erc20Interface.getEvent('Transfer').topicHash;
+  return receipt.logs
+    .filter((log) => log.topics[0] === transferTopic && log.topics.length === 3)
+    .map((log) => {
+      const { args } = erc20Interface.parseLog({ topics: [...log.topics], data: log.data });
+      return { token: ethers.getAddress(log.address), from: args.from, to: args.to, value: args.value.toString() };
+    });
+}
+
+/**
+ * Attribute a swap or liquidity add to the wallet that paid for it
+ * @param {Object} event - Event record from decodeLog
+ * @param {ethers.TransactionReceipt} receipt - Receipt of the event's transaction
+ * @returns {Object} The event with sender, account and transfers
+ */
+function attributeEvent(event, receipt) {
+  const transfers = decodeTransfers(receipt);
+  const { token, amount } = ATTRIBUTED_EVENTS[event.event](event.args);
+  const payment = transfers.find((transfer) =>
+    transfer.token.toLowerCase() === token.toLowerCase()
+    && transfer.to.toLowerCase() === event.address.toLowerCase()
+    && transfer.value === amount);
+  return {
+    ...event,
+    sender: ethers.getAddress(receipt.from),
+    account: payment ? payment.from : ethers.getAddress(receipt.from),
+    transfers
+  };
+}
+
+/**
+ * Order events by position in the chain
+ * @param {{ blockNumber: number, logIndex: number }} a - First event
+ * @param {{ blockNumber: number, logIndex: number }} b - Second event
+ * @returns {number} Negative if a comes first, positive if b does, 0 for the same log
+ */
+function compareEvents(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Create the event indexer
+ * @param {Object} deps
+ * @param {ethers.Provider} deps.provider - Provider to read logs from
+ * @param {Object} deps.store - Persistent store for event records (see storage/journalStore)
+ * @param {Object} deps.checkpoints - Persistent store for the indexer checkpoint
+ * @param {string} deps.address - Address of the Swapper contract
+ * @param {number} [deps.fromBlock=0] - Block to start from when there is no checkpoint (the deployment block)
+ * @param {number} [deps.batchSize=DEFAULT_BATCH_SIZE] - Blocks per eth_getLogs call
+ * @param {number} [deps.pollIntervalMs=DEFAULT_POLL_INTERVAL_MS] - Delay between polls for new blocks
+ * @param {number} [deps.finalityDepth=DEFAULT_FINALITY_DEPTH] - Confirmations after which an event is final
+ * @param {number} [deps.reorgWindow] - Recent block hashes kept to detect reorgs (at least finalityDepth)
+ * @returns {Object} The indexer
+ */
+function createEventIndexer({
+  provider,
+  store,
+  checkpoints,
+  address,
+  fromBlock = 0,
+  batchSize = DEFAULT_BATCH_SIZE,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  finalityDepth = DEFAULT_FINALITY_DEPTH,
+  reorgWindow = Math.max(DEFAULT_REORG_WINDOW, finalityDepth)
+}) {
+  const topics = [INDEXED_EVENTS.map((name) => swapperInterface.getEvent(name).topicHash)];
+  let syncing = null;
+  let running = false;
+  let timer = null;
+  const listeners = new Set();
+  // Every stored event in chain order
+  const ordered = store.values().sort(compareEvents);
+
+  /**
+   * Add indexed events to the ordered list
+   * Batches come in chain order after everything indexed so far, except when a
+   * range is indexed again after a crash and its events replace the same ids.
+   * @param {Array<Object>} events - Event records in chain order
+   */
+  function addEvents(events) {
+    for (const event of events) {
+      const last = ordered[ordered.length - 1];
+      if (!last || compareEvents(last, event) < 0) {
+        ordered.push(event);
+        continue;
+      }
+      const index = firstIndexAtOrAfter(event);
+      ordered.splice(index, ordered[index] && ordered[index].id === event.id ? 1 : 0, event);
+    }
+  }
+
+  /**
+   * Find the position of the first event at or after a position in the chain
+   * @param {{ blockNumber: number, logIndex: number }} position - Block and log index
+   * @returns {number} Index in the ordered list
+   */
+  function firstIndexAtOrAfter(position) {
+    let low = 0;
+    let high = ordered.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (compareEvents(ordered[middle], position) < 0) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  /**
+   * Tell subscribers about a change to the index
+   * A failing listener is logged and does not stop indexing.
+   * @param {Object} change - { type: 'events', events } or { type: 'rollback', blockNumber, removed }
+   */
+  function notify(change) {
+    for (const listener of listeners) {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Event indexer listener failed:', error);
+      }
+    }
+  }
+
+  function checkpoint() {
+    return checkpoints.get(CHECKPOINT_KEY) || { blockNumber: fromBlock - 1, headBlock: null, recentBlocks: {} };
+  }
+
+  function lastIndexedBlock() {
+    return checkpoint().blockNumber;
+  }
+
+  function saveCheckpoint(blockNumber, headBlock, recentBlocks) {
+    // Only the hashes inside the reorg window are worth keeping
+    const kept = Object.fromEntries(Object.entries(recentBlocks)
+      .filter(([number]) => Number(number) > headBlock - reorgWindow && Number(number) <= blockNumber));
+    checkpoints.set(CHECKPOINT_KEY, {
+      blockNumber,
+      headBlock,
+      recentBlocks: kept,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Find the most recent recorded block that is still on the canonical chain
+   * @param {number} below - First block known to be replaced
+   * @returns {Promise<number>} The common ancestor block number
+   */
+  async function findCommonAncestor(below) {
+    const { recentBlocks } = checkpoint();
+    const recorded = Object.keys(recentBlocks).map(Number).filter((number) => number < below);
+    for (const number of recorded.sort((a, b) => b - a)) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === recentBlocks[number]) return number;
+    }
+    const oldest = recorded.length > 0 ? Math.min(...recorded) : below;
+    console.error(`Reorg below the last ${reorgWindow} recorded blocks, re-indexing from block ${oldest}`);
+    return Math.max(oldest - 1, fromBlock - 1);
+  }
+
+  /**
+   * Drop everything indexed above the common ancestor of a reorg
+   * @param {number} replacedBlock - First block known to be replaced
+   * @returns {Promise<number>} The block indexing resumes after
+   */
+  async function rollBack(replacedBlock) {
+    const ancestor = await findCommonAncestor(replacedBlock);
+    const orphaned = ordered.splice(firstIndexAtOrAfter({ blockNumber: ancestor + 1, logIndex: 0 }));
+    if (orphaned.length > 0) {
+      store.deleteMany(orphaned.map((event) => event.id));
+    }
+    const { headBlock, recentBlocks } = checkpoint();
+    saveCheckpoint(ancestor, headBlock, recentBlocks);
+    console.error(`Reorg detected at block ${replacedBlock}: rolled back ${orphaned.length} events to block ${ancestor}`);
+    notify({ type: 'rollback', blockNumber: ancestor, removed: orphaned });
+    return ancestor;
+  }
+
+  /**
+   * Index one block range and move the checkpoint to its end
+   * Block hashes are recorded for the part of the range inside the reorg window.
+   * @param {number} start - First block
+   * @param {number} end - Last block
+   * @param {number} head - Current chain head
+   * @returns {Promise<number|null>} The first replaced block if a reorg was detected, otherwise null
+   */
+  async function indexRange(start, end, head) {
+    const logs = await provider.getLogs({ address, topics, fromBlock: start, toBlock: end });
+    const recentBlocks = { ...checkpoint().recentBlocks };
+    const timestamps = {};
+
+    const fetchBlock = async (number) => {
+      const block = await provider.getBlock(number);
+      // The node has not caught up with its own head yet; the next poll retries
+      if (!block) throw new Error(`Block ${number} not found`);
+      timestamps[number] = block.timestamp;
+      return block;
+    };
+
+    for (let number = Math.max(start, head - reorgWindow + 1); number <= end; number++) {
+      const block = await fetchBlock(number);
+      const parentHash = recentBlocks[number - 1];
+      if (parentHash && block.parentHash !== parentHash) return number;
+      recentBlocks[number] = block.hash;
+    }
+    // Logs served from a block other than the one just recorded belong to a replaced fork
+    const stale = logs.find((log) => recentBlocks[log.blockNumber] && log.blockHash !== recentBlocks[log.blockNumber]);
+    if (stale) return stale.blockNumber;
+
+    // Blocks below the reorg window are only fetched when they hold logs
+    for (const number of new Set(logs.map((log) => log.blockNumber))) {
+      if (!(number in timestamps)) await fetchBlock(number);
+    }
+
+    const receipts = new Map();
+    const events = [];
+    for (const log of logs) {
+      const event = decodeLog(log, timestamps[log.blockNumber]);
+      if (!event) continue;
+      if (!ATTRIBUTED_EVENTS[event.event]) {
+        events.push(event);
+        continue;
+      }
+      if (!receipts.has(event.transactionHash)) {
+        const receipt = await provider.getTransactionReceipt(event.transactionHash);
+        if (!receipt) throw new Error(`Receipt of ${event.transactionHash} not found`);
+        receipts.set(event.transactionHash, receipt);
+      }
+      // The transaction was re-included in another block since the logs were read
+      if (receipts.get(event.transactionHash).blockHash !== event.blockHash) return event.blockNumber;
+      events.push(attributeEvent(event, receipts.get(event.transactionHash)));
+    }
+    if (events.length > 0) {
+      store.setMany(events.map((event) => [event.id, event]));
+      addEvents(events);
+    }
+    saveCheckpoint(end, head, recentBlocks);
+    if (events.length > 0) {
+      notify({ type: 'events', events: events.map((event) => withConfirmations(event, head)) });
+    }
+    return null;
+  }
+
+  /**
+   * Index every block between the checkpoint and the chain head
+   */
+  async function catchUp() {
+    const head = await provider.getBlockNumber();
+
+    // A reorg that kept the same height is not visible through parent hashes of new blocks
+    const last = lastIndexedBlock();
+    const lastHash = checkpoint().recentBlocks[last];
+    let start = last + 1;
+    if (lastHash) {
+      const block = await provider.getBlock(last);
+      if (!block || block.hash !== lastHash) start = (await rollBack(last)) + 1;
+    }
+
+    while (start <= head) {
+      const end = Math.min(start + batchSize - 1, head);
+      const replacedBlock = await indexRange(start, end, head);
+      start = replacedBlock === null ? end + 1 : (await rollBack(replacedBlock)) + 1;
+    }
+  }
+
+  /**
+   * Add the confirmation count and finality to an event record
+   * @param {Object} event - Stored event record
+   * @param {number|null} headBlock - Chain head at the last sync
+   * @returns {Object} The event with `confirmations` and `final`
+   */
+  function withConfirmations(event, headBlock) {
+    const confirmations = headBlock === null ? 0 : Math.max(headBlock - event.blockNumber + 1, 0);
+    return { ...event, confirmations, final: confirmations >= finalityDepth };
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      try {
+        await indexer.sync();
+      } catch (error) {
+        console.error('Event indexer poll failed:', error);
+      }
+      if (running) schedule();
+    }, pollIntervalMs);
+  }
+
+  const indexer = {
+    /**
+     * Index up to the current chain head
+     * Concurrent calls share the sync already in progress.
+     * @returns {Promise<void>}
+     */
+    sync() {
+      if (!syncing) {
+        syncing = catchUp().finally(() => {
+          syncing = null;
+        });
+      }
+      return syncing;
+    },
+
+    /**
+     * Backfill from the checkpoint, then keep following new blocks
+     */
+    async start() {
+      if (running) return;
+      running = true;
+      try {
+        await indexer.sync();
+      } catch (error) {
+        console.error('Event indexer backfill failed:', error);
+      }
+      if (running) schedule();
+    },
+
+    /**
+     * Stop following new blocks
+     */
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    /**
+     * Follow changes to the index
+     * @param {Function} listener - Called with { type: 'events', events } for each batch of new
+     *   events (in chain order) and { type: 'rollback', blockNumber, removed } when a reorg drops
+     *   the events above blockNumber
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * List indexed events in chain order
+     * @returns {Array<Object>} The event records, with `confirmations` and `final`
+     */
+    events() {
+      const { headBlock } = checkpoint();
+      return ordered.map((event) => withConfirmations(event, headBlock));
+    },
+
+    /**
+     * Get the indexer progress
+     * @returns {Object} First block, last indexed block, chain head and last final block
+     */
+    status() {
+      const { blockNumber, headBlock } = checkpoint();
+      const finalizedBlock = headBlock === null ? null : Math.min(headBlock - finalityDepth + 1, blockNumber);
+      return {
+        fromBlock,
+        lastIndexedBlock: blockNumber < fromBlock ? null : blockNumber,
+        headBlock,
+        finalityDepth,
+        finalizedBlock: finalizedBlock === null || finalizedBlock < fromBlock ? null : finalizedBlock
+      };
+    }
+  };
+
+  return indexer;
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  DEFAULT_FINALITY_DEPTH,
+  decodeLog,
+  createEventIndexer
+};
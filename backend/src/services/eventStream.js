@@ -0,0 +1,121 @@
+/**
+ * Real-time event stream
+ *
+ * Pushes indexed Swapper events to Server-Sent Events clients as the indexer
+ * records them. Each message carries the indexed event id (`<block>-<logIndex>`)
+ * as its SSE id, so a reconnecting client that sends Last-Event-ID first gets
+ * the events it missed from the index, then the live ones. When a reorg rolls
+ * events back, clients get a `rollback` message naming the last block kept.
+ */
+
+// Streamed events and the SSE event type they are sent as
+const STREAM_TYPES = {
+  TokenSwap: 'swap',
+  LiquidityAdded: 'reserves',
+  LiquidityRemoved: 'reserves',
+  FeeUpdated: 'fee',
+  Paused: 'pause',
+  Unpaused: 'pause'
+};
+
+// Comment line sent on idle connections so proxies do not close them
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+/**
+ * Parse an indexed event id into its chain position
+ * @param {string} id - Event id, `<blockNumber>-<logIndex>`
+ * @returns {{ blockNumber: number, logIndex: number }|null} The position, or null if malformed
+ */
+function parseEventId(id) {
+  const match = /^(\d+)-(\d+)$/.exec(String(id));
+  return match ? { blockNumber: Number(match[1]), logIndex: Number(match[2]) } : null;
+}
+
+/**
+ * Tokens an event is about
+ * @param {Object} event - Indexed event
+ * @returns {string[]} Lowercase token addresses; empty for contract-wide events
+ */
+function tokensOf(event) {
+  if (event.event === 'TokenSwap') return [event.args.from.toLowerCase(), event.args.to.toLowerCase()];
+  if (event.args.token) return [event.args.token.toLowerCase()];
+  return [];
+}
+
+/**
+ * Format one SSE message
+ * @param {string} type - SSE event type
+ * @param {Object} data - JSON payload
+ * @param {string} [id] - SSE id
+ * @returns {string} The message
+ */
+function formatMessage(type, data, id) {
+  return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create the event stream service
+ * @param {Object} deps
+ * @param {Object} deps.indexer - Event indexer
+ * @param {number} [deps.heartbeatMs=DEFAULT_HEARTBEAT_MS] - Interval of keep-alive comments
+ * @returns {Object} The event stream service
+ */
+function createEventStreamService({ indexer, heartbeatMs = DEFAULT_HEARTBEAT_MS }) {
+  return {
+    /**
+     * Stream events to an HTTP response until the client disconnects
+     * @param {http.ServerResponse} res - The response to write the stream to
+     * @param {Object} [options]
+     * @param {string[]} [options.tokens] - Only events about these tokens (contract-wide events are always sent)
+     * @param {string} [options.lastEventId] - Resume after this event id
+     * @returns {Function} Closes the stream
+     */
+    connect(res, { tokens, lastEventId } = {}) {
+      const wanted = tokens && tokens.length > 0 ? new Set(tokens.map((token) => token.toLowerCase())) : null;
+      const matches = (event) => {
+        if (!STREAM_TYPES[event.event]) return false;
+        const touched = tokensOf(event);
+        return !wanted || touched.length === 0 || touched.some((token) => wanted.has(token));
+      };
+      const send = (event) => res.write(formatMessage(STREAM_TYPES[event.event], event, event.id));
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(formatMessage('ready', indexer.status()));
+
+      // Replay and subscribe in the same tick so no event falls in between
+      const resumeFrom = lastEventId ? parseEventId(lastEventId) : null;
+      if (resumeFrom) {
+        indexer.events()
+          .filter((event) => event.blockNumber > resumeFrom.blockNumber
+            || (event.blockNumber === resumeFrom.blockNumber && event.logIndex > resumeFrom.logIndex))
+          .filter(matches)
+          .forEach(send);
+      }
+      const unsubscribe = indexer.subscribe((change) => {
+        if (change.type === 'events') {
+          change.events.filter(matches).forEach(send);
+        } else if (change.type === 'rollback') {
+          res.write(formatMessage('rollback', { blockNumber: change.blockNumber }));
+        }
+      });
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+
+      const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      res.on('close', close);
+      return close;
+    }
+  };
+}
+
+module.exports = {
+  STREAM_TYPES,
+  parseEventId,
+  createEventStreamService
+};
@@ -0,0 +1,173 @@
+/**
+ * Transaction nonce manager
+ *
+ * Sits in front of a signer and assigns nonces itself instead of letting
+ * every send ask the node for the pending count, which hands the same nonce
+ * to two overlapping sends. Sends are serialized: each takes the lowest free
+ * nonce, is broadcast, and only then does the next one start.
+ *
+ * Every broadcast transaction is recorded in a persistent store until it is
+ * mined, so after a restart the manager neither reuses a nonce whose
+ * transaction is still in flight nor skips one. The manager resyncs with the
+ * node whenever its view and the node's disagree: at startup, when the
+ * node's pending count differs from the next nonce (a transaction was
+ * dropped, or something else used the wallet), and when a send is refused as
+ * nonce too low or replacement underpriced. Resyncing drops records of mined
+ * transactions and frees the nonces of transactions the node no longer has.
+ */
+
+// ethers error codes meaning the nonce we picked is already taken
+const NONCE_CONFLICTS = ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+
+/**
+ * Create a nonce-managed signer
+ * The result can be used wherever an ethers signer is expected as a contract runner.
+ * @param {Object} deps
+ * @param {ethers.Signer} deps.signer - Signer connected to a provider
+ * @param {Object} deps.store - Persistent store for in-flight transactions (see storage/jsonStore);
+ *   can be shared by several managers
+ * @returns {Object} The managed signer
+ */
+function createNonceManager({ signer, store }) {
+  const { provider } = signer;
+  let address = null;
+  // Next nonce never handed out, and lower nonces that are free again; null until the first sync
+  let next = null;
+  let free = [];
+  let queue = Promise.resolve();
+
+  const recordKey = (nonce) => `${address.toLowerCase()}:${nonce}`;
+  const records = () => store.values()
+    .filter((record) => record.address.toLowerCase() === address.toLowerCase())
+    .sort((a, b) => a.nonce - b.nonce);
+
+  /**
+   * Run a task once the previous one has finished
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} The task's result
+   */
+  function exclusive(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Rebuild the nonce state from the node and the in-flight records
+   * @returns {Promise<void>}
+   */
+  async function resync() {
+    address = address || await signer.getAddress();
+    const [latest, pending] = await Promise.all([
+      provider.getTransactionCount(address, 'latest'),
+      provider.getTransactionCount(address, 'pending')
+    ]);
+
+    const mined = [];
+    const inFlight = new Set();
+    for (const record of records()) {
+      if (record.nonce < latest) {
+        mined.push(recordKey(record.nonce));
+      } else if (await provider.getTransaction(record.transactionHash)) {
+        inFlight.add(record.nonce);
+      } else {
+        console.error(`Transaction ${record.transactionHash} (nonce ${record.nonce}) was dropped, its nonce is free again`);
+        mined.push(recordKey(record.nonce));
+      }
+    }
+    if (mined.length > 0) store.deleteMany(mined);
+
+    // Recorded transactions queued behind a gap do not count towards the node's pending count
+    next = Math.max(pending, ...[...inFlight].map((nonce) => nonce + 1));
+    free = [];
+    for (let nonce = pending; nonce < next; nonce++) {
+      if (!inFlight.has(nonce)) free.push(nonce);
+    }
+  }
+
+  /**
+   * Bring the nonce state up to date before a send
+   * Drops mined records, and resyncs fully when the node disagrees with us.
+   * @returns {Promise<void>}
+   */
+  async function refresh() {
+    if (next === null) return resync();
+    const [latest, pending] = await Promise.all([
+      provider.getTransactionCount(address, 'latest'),
+      provider.getTransactionCount(address, 'pending')
+    ]);
+    const mined = records().filter((record) => record.nonce < latest).map((record) => recordKey(record.nonce));
+    if (mined.length > 0) store.deleteMany(mined);
+    if (pending !== next) await resync();
+  }
+
+  /**
+   * Send a transaction with the lowest free nonce
+   * @param {ethers.TransactionRequest} tx - The transaction
+   * @returns {Promise<ethers.TransactionResponse>} The sent transaction
+   */
+  async function send(tx) {
+    const nonce = free.length > 0 ? free[0] : next;
+    const sent = await signer.sendTransaction({ ...tx, nonce });
+    if (free[0] === nonce) {
+      free.shift();
+    } else {
+      next = nonce + 1;
+    }
+    store.set(recordKey(nonce), { address, nonce, transactionHash: sent.hash, sentAt: new Date().toISOString() });
+    return sent;
+  }
+
+  return {
+    provider,
+
+    getAddress() {
+      return signer.getAddress();
+    },
+
+    call(tx) {
+      return signer.call(tx);
+    },
+
+    estimateGas(tx) {
+      return signer.estimateGas(tx);
+    },
+
+    resolveName(name) {
+      return signer.resolveName(name);
+    },
+
+    /**
+     * Send a transaction, assigning its nonce
+     * A transaction that already carries a nonce replaces the one recorded for
+     * that nonce: it is sent as is and the record follows the new hash.
+     * @param {ethers.TransactionRequest} tx - The transaction
+     * @returns {Promise<ethers.TransactionResponse>} The sent transaction
+     */
+    sendTransaction(tx) {
+      if (tx.nonce !== undefined && tx.nonce !== null) {
+        return exclusive(async () => {
+          const sent = await signer.sendTransaction(tx);
+          address = address || await signer.getAddress();
+          if (store.get(recordKey(tx.nonce))) store.update(recordKey(tx.nonce), { transactionHash: sent.hash });
+          return sent;
+        });
+      }
+      return exclusive(async () => {
+        await refresh();
+        try {
+          return await send(tx);
+        } catch (error) {
+          if (!NONCE_CONFLICTS.includes(error.code)) throw error;
+          // Our view of the nonces is stale: resync and try once more
+          await resync();
+          return send(tx);
+        }
+      });
+    }
+  };
+}
+
+module.exports = {
+  createNonceManager
+};
@@ -0,0 +1,63 @@
+/**
+ * Cursor pagination over indexed events
+ *
+ * Lists built from indexed events are returned newest first. A cursor is the
+ * opaque, URL-safe encoding of the position (block number and log index) of
+ * the last row of a page; the next page starts strictly before it, so rows
+ * indexed in the meantime never shift the pages already handed out.
+ */
+
+// Rows per page when the request does not set a limit
+const DEFAULT_PAGE_SIZE = 20;
+
+// Largest page a request may ask for
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encode the position of a row as a cursor
+ * @param {Object} row - Row with blockNumber and logIndex
+ * @returns {string} The cursor
+ */
+function encodeCursor({ blockNumber, logIndex }) {
+  return Buffer.from(`${blockNumber}:${logIndex}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor into a position
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{ blockNumber: number, logIndex: number }} The position
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  const match = /^(\d+):(\d+)$/.exec(Buffer.from(String(cursor), 'base64url').toString());
+  if (!match) throw new Error('is not a valid cursor');
+  return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+/**
+ * Take one page of rows, newest first
+ * @param {Array<Object>} rows - Rows with blockNumber and logIndex, in any order
+ * @param {Object} [options]
+ * @param {Object} [options.cursor] - Decoded cursor; the page starts strictly before it
+ * @param {number} [options.limit=DEFAULT_PAGE_SIZE] - Page size
+ * @returns {{ items: Array<Object>, nextCursor: string|null }} The page and the cursor of the next one
+ */
+function paginate(rows, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const isBefore = (row) => row.blockNumber < cursor.blockNumber
+    || (row.blockNumber === cursor.blockNumber && row.logIndex < cursor.logIndex);
+
+  const sorted = rows
+    .filter((row) => !cursor || isBefore(row))
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+  const items = sorted.slice(0, limit);
+  const hasMore = sorted.length > limit;
+  return { items, nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
@@ -0,0 +1,144 @@
+/**
+ * Pool state
+ *
+ * Everything a trader or liquidity provider needs about the Swapper in one
+ * read: fee, pause status, owner, and per token the accounted balance
+ * (tokenBalances), the actual ERC-20 balance held by the contract, the drift
+ * between the two and the largest output a single swap can take. All reads
+ * go through one batched Multicall3 call when the chain has it.
+ */
+
+const { swapperInterface } = require('../contracts/swapper');
+const { erc20Interface } = require('../contracts/erc20');
+const { formatAmount } = require('./tokenMetadata');
+const { maxSingleTradeOutput } = require('./quoteEngine');
+
+// Contract-wide reads, in the order they are batched
+const GLOBAL_READS = ['feeNumerator', 'FEE_DENOMINATOR', 'MAX_OUTPUT_PERCENTAGE', 'MINIMUM_LIQUIDITY', 'paused', 'owner'];
+
+/**
+ * Create the pool state service
+ * @param {Object} deps
+ * @param {ethers.Contract} deps.swapperContract - The Swapper contract instance
+ * @param {Object} deps.multicall - Multicall reader (see contracts/multicall)
+ * @param {Object} deps.tokenMetadata - Token metadata service
+ * @param {Object} deps.tokenRegistry - Token registry service, for the candidate token list and
+ *   metadata reads that tolerate tokens without the optional ERC-20 views
+ * @returns {Object} The pool state service
+ */
+function createPoolStateService({ swapperContract, multicall, tokenMetadata, tokenRegistry }) {
+  /**
+   * Read the contract-wide state and the state of some tokens in one batch
+   * @param {string[]} tokens - Token addresses
+   * @returns {Promise<Object>} Swapper address, global values and per-token raw values
+   */
+  async function readState(tokens) {
+    const swapper = await swapperContract.getAddress();
+    const swapperCall = (method, args) => ({ target: swapper, iface: swapperInterface, method, args });
+    const calls = [
+      ...GLOBAL_READS.map((method) => swapperCall(method)),
+      ...tokens.flatMap((token) => [
+        swapperCall('supportedTokens', [token]),
+        swapperCall('tokenBalances', [token]),
+        { target: token, iface: erc20Interface, method: 'balanceOf', args: [swapper] }
+      ])
+    ];
+    const results = await multicall.read(calls);
+
+    const failed = results.slice(0, GLOBAL_READS.length).find((result) => !result.success);
+    if (failed) throw failed.error;
+    const globals = Object.fromEntries(GLOBAL_READS.map((method, i) => [method, results[i].value]));
+
+    const perToken = tokens.map((token, i) => {
+      const [supported, tokenBalance, actualBalance] = results.slice(GLOBAL_READS.length + i * 3, GLOBAL_READS.length + i * 3 + 3);
+      if (!supported.success) throw supported.error;
+      if (!tokenBalance.success) throw tokenBalance.error;
+      return {
+        token,
+        supported: supported.value,
+        tokenBalance: tokenBalance.value,
+        // Not every candidate is guaranteed to answer balanceOf
+        actualBalance: actualBalance.success ? actualBalance.value : null
+      };
+    });
+    return { swapper, globals, perToken };
+  }
+
+  /**
+   * Convert raw token state to its API representation
+   * Amounts of a token whose decimals are unknown are only given raw.
+   * @param {Object} state - Per-token raw values
+   * @param {Object} globals - Contract-wide values
+   * @param {Object} meta - Token metadata
+   * @returns {Object} Token metadata, balances, drift and max output
+   */
+  function formatToken(state, globals, meta) {
+    const { tokenBalance, actualBalance } = state;
+    const format = (raw) => (meta.decimals === null ? { raw: raw.toString(), formatted: null } : formatAmount(raw, meta.decimals));
+    const maxAmountOut = maxSingleTradeOutput(tokenBalance, {
+      maxOutputPercentage: globals.MAX_OUTPUT_PERCENTAGE,
+      minimumLiquidity: globals.MINIMUM_LIQUIDITY
+    });
+    return {
+      ...meta,
+      supported: state.supported,
+      tokenBalance: format(tokenBalance),
+      actualBalance: actualBalance === null ? null : format(actualBalance),
+      // Tokens sent to the Swapper without addLiquidity(); positive until syncBalance() is called
+      drift: actualBalance === null ? null : format(actualBalance - tokenBalance),
+      maxAmountOut: format(maxAmountOut)
+    };
+  }
+
+  /**
+   * Convert the contract-wide values to their API representation
+   * @param {string} swapper - Swapper address
+   * @param {Object} globals - Raw contract-wide values
+   * @returns {Object} Address, owner, pause status, fee and trade limits
+   */
+  function formatGlobals(swapper, globals) {
+    return {
+      address: swapper,
+      owner: globals.owner,
+      paused: globals.paused,
+      fee: {
+        numerator: globals.feeNumerator.toString(),
+        denominator: globals.FEE_DENOMINATOR.toString()
+      },
+      maxOutputPercentage: globals.MAX_OUTPUT_PERCENTAGE.toString(),
+      minimumLiquidity: globals.MINIMUM_LIQUIDITY.toString()
+    };
+  }
+
+  return {
+    /**
+     * Get the state of the pool and every supported token
+     * @returns {Promise<Object>} Contract-wide state and the supported tokens
+     */
+    async getPool() {
+      const candidates = tokenRegistry.candidates().map((event) => event.args.token);
+      const { swapper, globals, perToken } = await readState(candidates);
+      const supported = perToken.filter((state) => state.supported);
+      // One token with broken metadata views must not take the whole pool down
+      const metas = await Promise.all(supported.map((state) => tokenRegistry.readMetadata(state.token)));
+      return {
+        ...formatGlobals(swapper, globals),
+        tokens: supported.map((state, i) => formatToken(state, globals, metas[i]))
+      };
+    },
+
+    /**
+     * Get the state of the pool for one token
+     * @param {string} token - Token address
+     * @returns {Promise<Object>} Contract-wide state and the token's state
+     */
+    async getToken(token) {
+      const [{ swapper, globals, perToken }, meta] = await Promise.all([readState([token]), tokenMetadata.getMetadata(token)]);
+      return { ...formatGlobals(swapper, globals), token: formatToken(perToken[0], globals, meta) };
+    }
+  };
+}
+
+module.exports = {
+  createPoolStateService
+};
@@ -0,0 +1,224 @@
+/**
+ * Off-chain quote engine
+ *
+ * Reproduces Swapper.calculateAmountOut in BigInt math from the contract's
+ * tokenBalances and feeNumerator, and predicts which of the swap() guards
+ * would revert for the quoted trade.
+ */
+
+const { formatAmount } = require('./tokenMetadata');
+
+// Constants mirrored from Swapper.sol (declared `constant` in the contract)
+const FEE_DENOMINATOR = 1000n;
+const MAX_OUTPUT_PERCENTAGE = 30n;
+const MINIMUM_LIQUIDITY = 1000n;
+
+// Slippage tolerances are expressed in basis points
+const BPS_DENOMINATOR = 10000n;
+
+// Scale used to express the effective price as a fixed-point number
+const PRICE_SCALE = 10n ** 18n;
+
+/**
+ * Calculate the output of a swap exactly as Swapper.calculateAmountOut does
+ * @param {Object} params
+ * @param {bigint} params.amountIn - Amount of fromToken being swapped
+ * @param {bigint} params.fromBalance - Swapper's tokenBalances[fromToken]
+ * @param {bigint} params.toBalance - Swapper's tokenBalances[toToken]
+ * @param {bigint} params.feeNumerator - Swapper's feeNumerator
+ * @returns {{ amountInWithFee: bigint, amountOut: bigint }} The amount in after fee and the amount out
+ */
+function calculateAmountOut({ amountIn, fromBalance, toBalance, feeNumerator }) {
+  const amountInWithFee = amountIn * (FEE_DENOMINATOR - feeNumerator) / FEE_DENOMINATOR;
+  const denominator = fromBalance + amountInWithFee;
+  if (denominator === 0n) {
+    // The contract would hit a division by zero panic here
+    return { amountInWithFee, amountOut: null };
+  }
+  return { amountInWithFee, amountOut: (toBalance * amountInWithFee) / denominator };
+}
+
+/**
+ * Predict the custom error swap() would revert with, if any
+ * The checks run in the same order as in Swapper.swap. Token support and the
+ * caller's balance are not known here and are not checked.
+ * @param {Object} params
+ * @param {boolean} params.sameToken - Whether fromToken equals toToken
+ * @param {bigint} params.toBalance - Swapper's tokenBalances[toToken]
+ * @param {bigint|null} params.amountOut - Calculated amount out
+ * @returns {string|null} Name of the expected revert, or null if the swap should pass
+ */
+function predictRevert({ sameToken, toBalance, amountOut }) {
+  if (sameToken) return 'SameTokenSwap';
+  if (toBalance === 0n) return 'InsufficientSwapperLiquidity';
+  if (amountOut === null) return 'DivisionByZero';
+  if (toBalance - amountOut < MINIMUM_LIQUIDITY) return 'InsufficientRemainingLiquidity';
+  if (amountOut > toBalance * MAX_OUTPUT_PERCENTAGE / 100n) return 'ExcessiveSwapImpact';
+  return null;
+}
+
+/**
+ * Largest output a single swap can take from a token's balance
+ * swap() reverts above MAX_OUTPUT_PERCENTAGE of the balance and when less than
+ * MINIMUM_LIQUIDITY would remain; the tighter of the two applies.
+ * @param {bigint} toBalance - Swapper's tokenBalances[toToken]
+ * @param {Object} [limits] - Contract constants, defaulting to the mirrored values
+ * @param {bigint} [limits.maxOutputPercentage=MAX_OUTPUT_PERCENTAGE] - Output cap in percent
+ * @param {bigint} [limits.minimumLiquidity=MINIMUM_LIQUIDITY] - Balance that must remain
+ * @returns {bigint} The maximum amount out
+ */
+function maxSingleTradeOutput(toBalance, {
+  maxOutputPercentage = MAX_OUTPUT_PERCENTAGE,
+  minimumLiquidity = MINIMUM_LIQUIDITY
+} = {}) {
+  const byImpact = toBalance * maxOutputPercentage / 100n;
+  const byLiquidity = toBalance > minimumLiquidity ? toBalance - minimumLiquidity : 0n;
+  return byImpact < byLiquidity ? byImpact : byLiquidity;
+}
+
+/**
+ * Format a fixed-point value scaled by PRICE_SCALE as a decimal string
+ * @param {bigint} value - The scaled value
+ * @returns {string} Decimal representation
+ */
+function formatScaled(value) {
+  const whole = value / PRICE_SCALE;
+  const fraction = (value % PRICE_SCALE).toString().padStart(18, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+/**
+ * Price of one whole fromToken in whole toTokens, corrected for decimals
+ * @param {bigint} amountIn - Amount of fromToken (smallest unit)
+ * @param {bigint} amountOut - Amount of toToken (smallest unit)
+ * @param {number} fromDecimals - Decimals of fromToken
+ * @param {number} toDecimals - Decimals of toToken
+ * @returns {string} Decimal price, '0' when amountIn is zero
+ */
+function executionPrice(amountIn, amountOut, fromDecimals, toDecimals) {
+  if (amountIn === 0n) return '0';
+  const scaledOut = amountOut * 10n ** BigInt(fromDecimals) * PRICE_SCALE;
+  return formatScaled(scaledOut / (amountIn * 10n ** BigInt(toDecimals)));
+}
+
+/**
+ * Build a quote from already-fetched contract state
+ * @param {Object} params
+ * @param {string} params.fromToken - Address of the token to swap from
+ * @param {string} params.toToken - Address of the token to swap to
+ * @param {bigint} params.amountIn - Amount of fromToken to swap (in token's smallest unit)
+ * @param {bigint} params.fromBalance - Swapper's tokenBalances[fromToken]
+ * @param {bigint} params.toBalance - Swapper's tokenBalances[toToken]
+ * @param {bigint} params.feeNumerator - Swapper's feeNumerator
+ * @param {number} [params.fromDecimals=18] - Decimals of fromToken
+ * @param {number} [params.toDecimals=18] - Decimals of toToken
+ * @returns {Object} The quote
+ */
+function buildQuote({
+  fromToken,
+  toToken,
+  amountIn,
+  fromBalance,
+  toBalance,
+  feeNumerator,
+  fromDecimals = 18,
+  toDecimals = 18
+}) {
+  const { amountInWithFee, amountOut } = calculateAmountOut({ amountIn, fromBalance, toBalance, feeNumerator });
+  const revertReason = predictRevert({
+    sameToken: fromToken.toLowerCase() === toToken.toLowerCase(),
+    toBalance,
+    amountOut
+  });
+
+  const effectivePrice = amountOut === null ? '0' : executionPrice(amountIn, amountOut, fromDecimals, toDecimals);
+
+  return {
+    fromToken,
+    toToken,
+    fromDecimals,
+    toDecimals,
+    amountIn,
+    amountOut: amountOut === null ? 0n : amountOut,
+    fee: amountIn - amountInWithFee,
+    feeNumerator,
+    feeDenominator: FEE_DENOMINATOR,
+    effectivePrice,
+    reserves: { fromBalance, toBalance },
+    maxAmountOut: maxSingleTradeOutput(toBalance),
+    willRevert: revertReason !== null,
+    revertReason
+  };
+}
+
+/**
+ * Quote a swap against the current on-chain state of the Swapper contract
+ * @param {ethers.Contract} swapperContract - The Swapper contract instance
+ * @param {string} fromToken - Address of the token to swap from
+ * @param {string} toToken - Address of the token to swap to
+ * @param {bigint} amountIn - Amount of fromToken to swap (in token's smallest unit)
+ * @param {Object} [decimals] - Token decimals used for the effective price
+ * @param {number} [decimals.fromDecimals=18] - Decimals of fromToken
+ * @param {number} [decimals.toDecimals=18] - Decimals of toToken
+ * @returns {Promise<Object>} The quote
+ */
+async function getQuote(swapperContract, fromToken, toToken, amountIn, { fromDecimals, toDecimals } = {}) {
+  const [fromBalance, toBalance, feeNumerator] = await Promise.all([
+    swapperContract.tokenBalances(fromToken),
+    swapperContract.tokenBalances(toToken),
+    swapperContract.feeNumerator()
+  ]);
+  return buildQuote({ fromToken, toToken, amountIn, fromBalance, toBalance, feeNumerator, fromDecimals, toDecimals });
+}
+
+/**
+ * Apply a slippage tolerance to a quoted output amount
+ * @param {bigint} amountOut - Quoted amount out
+ * @param {bigint} slippageBps - Tolerance in basis points (0-10000)
+ * @returns {bigint} The minimum amount out to accept
+ */
+function applySlippage(amountOut, slippageBps) {
+  return amountOut * (BPS_DENOMINATOR - slippageBps) / BPS_DENOMINATOR;
+}
+
+/**
+ * Convert a quote to a JSON-safe object
+ * Amounts are returned both in base units and in human-readable form.
+ * @param {Object} quote - Quote returned by getQuote or buildQuote
+ * @returns {Object} Serializable quote
+ */
+function serializeQuote(quote) {
+  const { fromDecimals, toDecimals } = quote;
+  return {
+    fromToken: quote.fromToken,
+    toToken: quote.toToken,
+    amountIn: formatAmount(quote.amountIn, fromDecimals),
+    amountOut: formatAmount(quote.amountOut, toDecimals),
+    fee: formatAmount(quote.fee, fromDecimals),
+    feeNumerator: quote.feeNumerator.toString(),
+    feeDenominator: quote.feeDenominator.toString(),
+    effectivePrice: quote.effectivePrice,
+    reserves: {
+      fromBalance: formatAmount(quote.reserves.fromBalance, fromDecimals),
+      toBalance: formatAmount(quote.reserves.toBalance, toDecimals)
+    },
+    maxAmountOut: formatAmount(quote.maxAmountOut, toDecimals),
+    willRevert: quote.willRevert,
+    revertReason: quote.revertReason
+  };
+}
+
+module.exports = {
+  FEE_DENOMINATOR,
+  MAX_OUTPUT_PERCENTAGE,
+  MINIMUM_LIQUIDITY,
+  BPS_DENOMINATOR,
+  calculateAmountOut,
+  predictRevert,
+  maxSingleTradeOutput,
+  executionPrice,
+  buildQuote,
+  getQuote,
+  applySlippage,
+  serializeQuote
+};
@@ -0,0 +1,269 @@
+/**
+ * Sign-In With Ethereum (EIP-4361) sessions
+ *
+ * A client asks for a nonce, has the wallet sign an EIP-4361 message that
+ * embeds it, and trades the message and signature for a session token. The
+ * message must name this API's domain and chain, use an unexpired nonce we
+ * issued (each nonce works once) and be signed by the address it names.
+ *
+ * Session tokens are random bearer tokens; only their SHA-256 digest is
+ * stored, so a leaked session file cannot be replayed.
+ *
+ * Nonces are handed out to anyone, so at most MAX_OUTSTANDING_NONCES are kept
+ * (issuing one more forgets the oldest), and a sweep started by start()
+ * drops expired nonces and sessions even if nobody presents them again.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { ApiError } = require('../errors');
+
+// How long an issued nonce can be used to sign in
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+// Most nonces kept at once; beyond that the oldest is forgotten
+const MAX_OUTSTANDING_NONCES = 10000;
+
+// Delay between sweeps of expired nonces and sessions
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Longest session a sign-in grants; a message with an earlier Expiration Time shortens it
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const MESSAGE_HEADER = / wants you to sign in with your Ethereum account:$/;
+
+// Fields after the statement, in the order EIP-4361 lists them
+const MESSAGE_FIELDS = {
+  URI: 'uri',
+  Version: 'version',
+  'Chain ID': 'chainId',
+  Nonce: 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+/**
+ * Parse an EIP-4361 message
+ * @param {string} message - The message the wallet signed
+ * @returns {Object} domain, address, statement, uri, version, chainId, nonce, issuedAt,
+ *   expirationTime, notBefore, requestId and resources
+ * @throws {Error} If the message does not follow EIP-4361
+ */
+function parseSiweMessage(message) {
+  const lines = String(message).split('\n');
+  const header = lines.shift() || '';
+  if (!MESSAGE_HEADER.test(header)) throw new Error('missing the EIP-4361 header line');
+  const parsed = {
+    // The optional scheme is not part of the domain that is compared
+    domain: header.replace(MESSAGE_HEADER, '').replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''),
+    address: lines.shift(),
+    statement: null,
+    resources: []
+  };
+  if (!/^0x[0-9a-fA-F]{40}$/.test(parsed.address || '')) throw new Error('invalid address line');
+
+  if (lines.shift() !== '') throw new Error('expected an empty line after the address');
+  // Without a statement, EIP-4361 has a second empty line that some libraries leave out
+  if (lines[0] === '') {
+    lines.shift();
+  } else if (lines.length > 0 && !lines[0].startsWith('URI: ')) {
+    parsed.statement = lines.shift();
+    if (lines.shift() !== '') throw new Error('expected an empty line after the statement');
+  }
+
+  while (lines.length > 0) {
+    const line = lines.shift();
+    if (line === 'Resources:') {
+      while (lines.length > 0 && lines[0].startsWith('- ')) parsed.resources.push(lines.shift().slice(2));
+      continue;
+    }
+    const separator = line.indexOf(': ');
+    const field = MESSAGE_FIELDS[line.slice(0, separator)];
+    if (separator < 0 || !field || parsed[field] !== undefined) throw new Error(`unexpected line "${line}"`);
+    parsed[field] = line.slice(separator + 2);
+  }
+
+  for (const label of ['URI', 'Version', 'Chain ID', 'Nonce', 'Issued At']) {
+    if (parsed[MESSAGE_FIELDS[label]] === undefined) throw new Error(`missing ${label}`);
+  }
+  if (parsed.version !== '1') throw new Error('Version must be 1');
+  if (!/^\d+$/.test(parsed.chainId)) throw new Error('Chain ID must be an integer');
+  parsed.chainId = Number(parsed.chainId);
+  for (const field of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (parsed[field] !== undefined && Number.isNaN(Date.parse(parsed[field]))) {
+      throw new Error(`${field} must be an RFC 3339 date-time`);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Digest under which a session token is stored
+ * @param {string} token - Session token
+ * @returns {string} Hex SHA-256 digest
+ */
+function sessionKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create the SIWE session service
+ * @param {Object} deps
+ * @param {Object} deps.store - Persistent store for sessions (see storage/jsonStore)
+ * @param {ethers.Provider} deps.provider - Provider whose chainId sign-in messages must name
+ * @param {number} [deps.sessionTtlMs=SESSION_TTL_MS] - Longest session granted
+ * @param {number} [deps.maxNonces=MAX_OUTSTANDING_NONCES] - Most nonces kept at once
+ * @returns {Object} The SIWE service
+ */
+function createSiweService({ store, provider, sessionTtlMs = SESSION_TTL_MS, maxNonces = MAX_OUTSTANDING_NONCES }) {
+  // Outstanding nonces and when they expire, oldest first; a restart simply invalidates them
+  const nonces = new Map();
+  let timer = null;
+
+  const rejected = (code, message) => new ApiError(401, code, message);
+
+  const service = {
+    /**
+     * Issue a single-use nonce to embed in a sign-in message
+     * @returns {{ nonce: string, expiresAt: string }} The nonce and its expiry
+     */
+    issueNonce() {
+      const now = Date.now();
+      // Insertion order is expiry order, so the oldest nonce is always first
+      while (nonces.size >= maxNonces) nonces.delete(nonces.keys().next().value);
+      const nonce = crypto.randomBytes(16).toString('hex');
+      nonces.set(nonce, now + NONCE_TTL_MS);
+      return { nonce, expiresAt: new Date(now + NONCE_TTL_MS).toISOString() };
+    },
+
+    /**
+     * Verify a signed sign-in message and open a session
+     * @param {string} message - EIP-4361 message
+     * @param {string} signature - The wallet's personal_sign signature of it
+     * @param {string} domain - Domain the message must be addressed to
+     * @returns {Promise<{ token: string, address: string, expiresAt: string }>} The session
+     * @throws {ApiError} 400 INVALID_SIWE_MESSAGE if the message is malformed,
+     *   401 with the failed check's code otherwise
+     */
+    async verify(message, signature, domain) {
+      let fields;
+      try {
+        fields = parseSiweMessage(message);
+      } catch (error) {
+        throw new ApiError(400, 'INVALID_SIWE_MESSAGE', `Invalid sign-in message: ${error.message}`);
+      }
+
+      // A nonce is spent by any attempt to use it, so a rejected message cannot be retried
+      const nonceExpiry = nonces.get(fields.nonce);
+      nonces.delete(fields.nonce);
+      const now = Date.now();
+      if (!nonceExpiry || nonceExpiry <= now) {
+        throw rejected('INVALID_NONCE', 'Nonce was not issued by this API, has expired or was already used');
+      }
+      if (fields.domain !== domain) {
+        throw rejected('SIWE_DOMAIN_MISMATCH', `Message is for ${fields.domain}, expected ${domain}`);
+      }
+      const { chainId } = await provider.getNetwork();
+      if (BigInt(fields.chainId) !== chainId) {
+        throw rejected('SIWE_CHAIN_MISMATCH', `Message is for chain ${fields.chainId}, expected ${chainId}`);
+      }
+      if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+        throw rejected('SIWE_EXPIRED', 'Message has expired');
+      }
+      if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+        throw rejected('SIWE_NOT_YET_VALID', 'Message is not valid yet');
+      }
+
+      let signer;
+      try {
+        signer = ethers.verifyMessage(message, signature);
+      } catch (error) {
+        throw rejected('INVALID_SIGNATURE', 'Signature is malformed');
+      }
+      if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+        throw rejected('INVALID_SIGNATURE', 'Message was not signed by the address it names');
+      }
+
+      const expiresAt = Math.min(now + sessionTtlMs, fields.expirationTime ? Date.parse(fields.expirationTime) : Infinity);
+      const token = crypto.randomBytes(32).toString('base64url');
+      const session = {
+        address: ethers.getAddress(fields.address),
+        domain,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString()
+      };
+      store.set(sessionKey(token), session);
+      return { token, address: session.address, expiresAt: session.expiresAt };
+    },
+
+    /**
+     * Look up the session of a token
+     * @param {string} token - Session token
+     * @returns {Object|null} The session, or null if unknown or expired
+     */
+    authenticate(token) {
+      const key = sessionKey(token);
+      const session = store.get(key);
+      if (!session) return null;
+      if (Date.parse(session.expiresAt) <= Date.now()) {
+        store.delete(key);
+        return null;
+      }
+      return session;
+    },
+
+    /**
+     * End a session
+     * @param {string} token - Session token
+     */
+    revoke(token) {
+      store.delete(sessionKey(token));
+    },
+
+    /**
+     * Drop expired nonces and sessions
+     */
+    sweep() {
+      const now = Date.now();
+      for (const [nonce, expiresAt] of nonces) {
+        if (expiresAt > now) break;
+        nonces.delete(nonce);
+      }
+      const expired = store.entries()
+        .filter(([, session]) => Date.parse(session.expiresAt) <= now)
+        .map(([key]) => key);
+      if (expired.length > 0) store.deleteMany(expired);
+    },
+
+    /**
+     * Sweep expired nonces and sessions periodically
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs=SWEEP_INTERVAL_MS] - Delay between sweeps
+     */
+    start({ intervalMs = SWEEP_INTERVAL_MS } = {}) {
+      if (timer) return;
+      service.sweep();
+      timer = setInterval(service.sweep, intervalMs);
+    },
+
+    /**
+     * Stop sweeping
+     */
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return service;
+}
+
+module.exports = {
+  NONCE_TTL_MS,
+  MAX_OUTSTANDING_NONCES,
+  SESSION_TTL_MS,
+  parseSiweMessage,
+  createSiweService
+};
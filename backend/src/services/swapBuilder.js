@@ -0,0 +1,103 @@
+/**
+ * Unsigned swap transaction builder
+ *
+ * Builds the transaction requests a user's own wallet needs to sign to swap
+ * through the Swapper contract: an ERC-20 approve on the fromToken when the
+ * current allowance is too low, followed by the Swapper.swap call.
+ */
+
+const { getErc20Contract } = require('../contracts/erc20');
+const { toApiError } = require('../errors');
+
+// Gas limits used when estimation is not possible yet (a swap before its approve is mined)
+const FALLBACK_GAS_LIMITS = {
+  swap: 300000n
+};
+
+/**
+ * Estimate gas for a transaction request
+ * @param {ethers.Provider} provider - Provider used for the estimate
+ * @param {Object} request - Transaction request (from, to, data)
+ * @param {bigint|null} fallback - Gas limit used if the estimate fails, or null if it must not fail
+ * @returns {Promise<{ gasLimit: bigint, gasEstimated: boolean }>} The gas limit
+ * @throws {ApiError} The decoded revert (or RPC error) when there is no fallback
+ */
+async function estimateGasOrFallback(provider, request, fallback) {
+  try {
+    return { gasLimit: await provider.estimateGas(request), gasEstimated: true };
+  } catch (error) {
+    if (fallback === null) throw toApiError(error);
+    return { gasLimit: fallback, gasEstimated: false };
+  }
+}
+
+/**
+ * Convert a built transaction request to a JSON-safe object
+ * @param {Object} request - Transaction request built by buildSwapTransactions
+ * @returns {Object} Serializable transaction request
+ */
+function serializeTransactionRequest(request) {
+  return {
+    ...request,
+    value: request.value.toString(),
+    gasLimit: request.gasLimit.toString(),
+    chainId: request.chainId.toString()
+  };
+}
+
+/**
+ * Build the unsigned transactions needed for a user to perform a swap
+ * @param {Object} params
+ * @param {ethers.Provider} params.provider - Provider used for reads and gas estimates
+ * @param {ethers.Contract} params.swapperContract - The Swapper contract instance
+ * @param {string} params.from - Address of the user that will sign the transactions
+ * @param {string} params.fromToken - Address of the token to swap from
+ * @param {string} params.toToken - Address of the token to swap to
+ * @param {bigint} params.amountIn - Amount of fromToken to swap (in token's smallest unit)
+ * @param {bigint} params.minAmountOut - Minimum amount of toToken to accept
+ * @returns {Promise<Array<Object>>} Ordered transaction requests to sign and send
+ */
+async function buildSwapTransactions({ provider, swapperContract, from, fromToken, toToken, amountIn, minAmountOut }) {
+  const swapperAddress = await swapperContract.getAddress();
+  const token = getErc20Contract(fromToken, provider);
+  const [network, allowance] = await Promise.all([
+    provider.getNetwork(),
+    token.allowance(from, swapperAddress)
+  ]);
+
+  const requests = [];
+  if (allowance < amountIn) {
+    requests.push({
+      type: 'approve',
+      from,
+      to: fromToken,
+      data: token.interface.encodeFunctionData('approve', [swapperAddress, amountIn]),
+      value: 0n
+    });
+  }
+  requests.push({
+    type: 'swap',
+    from,
+    to: swapperAddress,
+    data: swapperContract.interface.encodeFunctionData('swap', [fromToken, toToken, amountIn, minAmountOut]),
+    value: 0n
+  });
+
+  // A swap cannot be simulated until its approval is mined, so only then may it use the fallback;
+  // otherwise a failed estimate is a swap that would revert and is reported as such
+  const approvePending = requests.length > 1;
+  return Promise.all(requests.map(async (request) => {
+    const { gasLimit, gasEstimated } = await estimateGasOrFallback(
+      provider,
+      { from: request.from, to: request.to, data: request.data },
+      request.type === 'swap' && approvePending ? FALLBACK_GAS_LIMITS.swap : null
+    );
+    return { ...request, gasLimit, gasEstimated, chainId: network.chainId };
+  }));
+}
+
+module.exports = {
+  FALLBACK_GAS_LIMITS,
+  buildSwapTransactions,
+  serializeTransactionRequest
+};
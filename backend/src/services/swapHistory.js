@@ -0,0 +1,95 @@
+/**
+ * Swap history
+ *
+ * Past swaps read from the indexed TokenSwap events, filtered and paginated
+ * newest first, with token metadata, human-readable amounts and the price
+ * each swap executed at.
+ */
+
+const { formatAmount } = require('./tokenMetadata');
+const { executionPrice } = require('./quoteEngine');
+const { paginate } = require('./pagination');
+
+/**
+ * Check an indexed TokenSwap event against the history filters
+ * @param {Object} event - Indexed event record
+ * @param {Object} filters - See list()
+ * @returns {boolean} Whether the swap matches
+ */
+function matches(event, filters) {
+  const { from, to, amountIn } = event.args;
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  if (filters.fromToken && !same(from, filters.fromToken)) return false;
+  if (filters.toToken && !same(to, filters.toToken)) return false;
+  if (filters.fromBlock !== undefined && event.blockNumber < filters.fromBlock) return false;
+  if (filters.toBlock !== undefined && event.blockNumber > filters.toBlock) return false;
+  // Events indexed before timestamps were recorded cannot match a time range
+  if (filters.since !== undefined && !(event.timestamp >= filters.since)) return false;
+  if (filters.until !== undefined && !(event.timestamp <= filters.until)) return false;
+  if (filters.minAmountIn !== undefined && BigInt(amountIn) < filters.minAmountIn) return false;
+  return true;
+}
+
+/**
+ * Create the swap history service
+ * @param {Object} deps
+ * @param {Object} deps.indexer - Event indexer
+ * @param {Object} deps.tokenMetadata - Token metadata service
+ * @returns {Object} The swap history service
+ */
+function createSwapHistoryService({ indexer, tokenMetadata }) {
+  /**
+   * Convert an indexed TokenSwap event to a history row
+   * @param {Object} event - Indexed event record, with confirmations
+   * @returns {Promise<Object>} The row
+   */
+  async function toRow(event) {
+    const { from, to, amountIn, amountOut } = event.args;
+    const [fromMeta, toMeta] = await Promise.all([
+      tokenMetadata.getMetadata(from),
+      tokenMetadata.getMetadata(to)
+    ]);
+    return {
+      id: event.id,
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp,
+      fromToken: fromMeta,
+      toToken: toMeta,
+      amountIn: formatAmount(BigInt(amountIn), fromMeta.decimals),
+      amountOut: formatAmount(BigInt(amountOut), toMeta.decimals),
+      // toToken received per fromToken paid
+      price: executionPrice(BigInt(amountIn), BigInt(amountOut), fromMeta.decimals, toMeta.decimals),
+      confirmations: event.confirmations,
+      final: event.final
+    };
+  }
+
+  return {
+    /**
+     * List past swaps, newest first
+     * @param {Object} [filters]
+     * @param {string} [filters.fromToken] - Token sold
+     * @param {string} [filters.toToken] - Token bought
+     * @param {number} [filters.fromBlock] - First block (inclusive)
+     * @param {number} [filters.toBlock] - Last block (inclusive)
+     * @param {number} [filters.since] - Earliest block timestamp, unix seconds (inclusive)
+     * @param {number} [filters.until] - Latest block timestamp, unix seconds (inclusive)
+     * @param {bigint} [filters.minAmountIn] - Smallest amountIn in base units
+     * @param {Object} [page]
+     * @param {Object} [page.cursor] - Decoded cursor of the previous page
+     * @param {number} [page.limit] - Page size
+     * @returns {Promise<{ swaps: Array<Object>, nextCursor: string|null }>} The page
+     */
+    async list(filters = {}, page = {}) {
+      const swaps = indexer.events().filter((event) => event.event === 'TokenSwap' && matches(event, filters));
+      const { items, nextCursor } = paginate(swaps, page);
+      return { swaps: await Promise.all(items.map(toRow)), nextCursor };
+    }
+  };
+}
+
+module.exports = {
+  createSwapHistoryService
+};
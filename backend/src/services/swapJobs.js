@@ -0,0 +1,404 @@
+/**
+ * Asynchronous swap jobs
+ *
+ * A swap is recorded as a job before anything is sent, then submitted and
+ * followed in the background so the HTTP request does not have to wait for
+ * the transaction to be mined. Job state lives in a persistent store and
+ * jobs that were in flight are picked up again on restart.
+ *
+ * Job status moves through: queued -> submitted -> mined | failed | cancelled | replaced
+ *
+ * A submitted swap that is stuck can be sped up (the same call re-sent at its
+ * nonce with higher fees) or cancelled (a zero-value transfer to the backend
+ * wallet at its nonce). Each transaction sent for a job is one of its
+ * attempts. Submitted jobs are polled through the transaction tracker
+ * rather than followed with `tx.wait()`: a receipt settles the job (that
+ * attempt mined, the others replaced), a nonce taken by another transaction
+ * marks it replaced and attempts the node no longer knows fail it as dropped.
+ */
+
+const crypto = require('crypto');
+const { findSwapperEvent } = require('../contracts/swapper');
+const { ApiError, revertReasonOf, toApiError } = require('../errors');
+const { TRANSACTION_STATE, createTransactionTracker } = require('./transactionTracker');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted',
+  MINED: 'mined',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  REPLACED: 'replaced'
+};
+
+// Fee increase of a speed-up or cancel over the transaction it replaces; nodes require at least 10%
+const DEFAULT_FEE_BUMP_PERCENT = 20;
+
+// Gas of a plain ETH transfer, all a cancel needs
+const CANCEL_GAS_LIMIT = 21000n;
+
+// Delay between polls of submitted jobs
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+
+/**
+ * Attempts of a job, including jobs recorded before attempts were kept
+ * @param {Object} job - Job record
+ * @returns {Array<Object>} The attempts
+ */
+function attemptsOf(job) {
+  if (job.attempts) return job.attempts;
+  return job.transactionHash ? [{ type: 'original', transactionHash: job.transactionHash, status: 'pending' }] : [];
+}
+
+/**
+ * Describe a sent transaction as a job attempt
+ * @param {string} type - original, speedup or cancel
+ * @param {ethers.TransactionResponse} tx - The sent transaction
+ * @returns {Object} The attempt, fees as wei strings (null when the node chose them)
+ */
+function toAttempt(type, tx) {
+  const fee = (value) => (value === undefined || value === null ? null : value.toString());
+  return {
+    type,
+    transactionHash: tx.hash,
+    maxFeePerGas: fee(tx.maxFeePerGas),
+    maxPriorityFeePerGas: fee(tx.maxPriorityFeePerGas),
+    sentAt: new Date().toISOString(),
+    status: 'pending'
+  };
+}
+
+/**
+ * Fees for a replacement: the replaced fees bumped, or the network's if higher
+ * Legacy transactions only carry gasPrice, which stands in for both fees.
+ * @param {ethers.TransactionResponse} tx - Transaction being replaced
+ * @param {ethers.FeeData} feeData - Current network fees
+ * @param {number} bumpPercent - Increase over the replaced fees
+ * @returns {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }} The fees
+ */
+function bumpFees(tx, feeData, bumpPercent) {
+  const bump = (value) => (value * BigInt(100 + bumpPercent) + 99n) / 100n;
+  const max = (...values) => values.filter((value) => value !== null && value !== undefined)
+    .reduce((a, b) => (b > a ? b : a), 0n);
+  const maxPriorityFeePerGas = max(bump(tx.maxPriorityFeePerGas ?? tx.gasPrice), feeData.maxPriorityFeePerGas);
+  const maxFeePerGas = max(bump(tx.maxFeePerGas ?? tx.gasPrice), feeData.maxFeePerGas, maxPriorityFeePerGas);
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Create the swap job service
+ * @param {Object} deps
+ * @param {Object} deps.store - Persistent store for job records (see storage/jsonStore)
+ * @param {ethers.Contract} deps.swapperContract - Swapper contract connected to the backend signer
+ * @param {ethers.Provider} deps.provider - Provider used to look up in-flight transactions
+ * @param {ethers.Signer} [deps.signer] - Backend signer, to send speed-ups and cancels
+ * @param {number} [deps.pollIntervalMs=DEFAULT_POLL_INTERVAL_MS] - Delay between polls of submitted jobs
+ * @returns {Object} The swap job service
+ */
+function createSwapJobService({ store, swapperContract, provider, signer, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS }) {
+  const tracker = createTransactionTracker({ provider });
+  let polling = null;
+  let running = false;
+  let timer = null;
+
+  function update(id, fields) {
+    return store.update(id, { ...fields, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Settle the attempts of a job
+   * @param {Object} job - Job record
+   * @param {Function} statusOf - Maps an attempt to its final status
+   * @returns {Array<Object>} The settled attempts
+   */
+  function settleAttempts(job, statusOf) {
+    return attemptsOf(job).map((attempt) => ({ ...attempt, status: statusOf(attempt) }));
+  }
+
+  /**
+   * Record the outcome of a mined transaction
+   * @param {string} id - Job id
+   * @param {ethers.TransactionReceipt} receipt - Receipt of the attempt that was mined
+   * @returns {Promise<void>}
+   */
+  async function recordReceipt(id, receipt) {
+    const attempts = settleAttempts(store.get(id), (attempt) => (attempt.transactionHash === receipt.hash ? 'mined' : 'replaced'));
+    const mined = attempts.find((attempt) => attempt.transactionHash === receipt.hash);
+    const swapEvent = findSwapperEvent(receipt, 'TokenSwap');
+    const fields = {
+      status: receipt.status === 1 ? JOB_STATUS.MINED : JOB_STATUS.FAILED,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      amountOut: swapEvent ? swapEvent.args.amountOut.toString() : null,
+      attempts
+    };
+    if (mined && mined.type === 'cancel') fields.status = JOB_STATUS.CANCELLED;
+    if (receipt.status !== 1) {
+      const revert = await tracker.revertOf(receipt);
+      Object.assign(fields, {
+        error: 'Transaction reverted',
+        errorCode: revert ? toApiError(revert).code : 'CONTRACT_REVERTED',
+        revertReason: revert ? revertReasonOf(revert) : null
+      });
+    }
+    update(id, fields);
+  }
+
+  /**
+   * Record a failure to send the swap transaction
+   * @param {string} id - Job id
+   * @param {Error} error - The error
+   */
+  function recordFailure(id, error) {
+    update(id, {
+      status: JOB_STATUS.FAILED,
+      error: error.shortMessage || error.message,
+      errorCode: toApiError(error).code,
+      revertReason: revertReasonOf(error)
+    });
+  }
+
+  /**
+   * Check a submitted job against the chain and record its outcome once known
+   * @param {string} id - Job id
+   * @returns {Promise<void>}
+   */
+  async function check(id) {
+    const job = store.get(id);
+    if (!job || job.status !== JOB_STATUS.SUBMITTED) return;
+    const hashes = attemptsOf(job).map((attempt) => attempt.transactionHash);
+    const from = job.from || (signer ? await signer.getAddress() : null);
+
+    const { state, receipt } = await tracker.check(id, { hashes, from, nonce: job.nonce });
+    if (state === TRANSACTION_STATE.MINED) {
+      await recordReceipt(id, receipt);
+    } else if (state === TRANSACTION_STATE.REPLACED) {
+      update(id, {
+        status: JOB_STATUS.REPLACED,
+        error: `Nonce ${job.nonce} was used by another transaction`,
+        attempts: settleAttempts(job, () => 'replaced')
+      });
+    } else if (state === TRANSACTION_STATE.DROPPED) {
+      update(id, {
+        status: JOB_STATUS.FAILED,
+        error: 'Transaction dropped by the node',
+        errorCode: 'TRANSACTION_DROPPED',
+        attempts: settleAttempts(job, () => 'dropped')
+      });
+    }
+  }
+
+  /**
+   * Send the swap transaction for a queued job and check on it once
+   * Polling follows it from there.
+   * @param {string} id - Job id
+   */
+  async function run(id) {
+    const { fromToken, toToken, amountIn, minAmountOut, deadline } = store.get(id).request;
+    if (deadline && Math.floor(Date.now() / 1000) > deadline) {
+      update(id, { status: JOB_STATUS.FAILED, error: 'Deadline passed before submission', errorCode: 'DEADLINE_EXPIRED' });
+      return;
+    }
+
+    let tx;
+    try {
+      tx = await swapperContract.swap(fromToken, toToken, BigInt(amountIn), BigInt(minAmountOut));
+    } catch (error) {
+      console.error(`Swap job ${id} could not be submitted:`, error);
+      recordFailure(id, error);
+      return;
+    }
+    update(id, {
+      status: JOB_STATUS.SUBMITTED,
+      transactionHash: tx.hash,
+      from: tx.from,
+      nonce: tx.nonce,
+      attempts: [toAttempt('original', tx)]
+    });
+    try {
+      await check(id);
+    } catch (error) {
+      console.error(`Unable to check swap job ${id}:`, error);
+    }
+  }
+
+  /**
+   * Replace a job's pending transaction at the same nonce
+   * @param {string} id - Job id
+   * @param {string} type - speedup (same call) or cancel (zero-value transfer to the backend wallet)
+   * @param {number} bumpPercent - Fee increase over the pending transaction
+   * @returns {Promise<Object>} The job with the new attempt
+   * @throws {ApiError} 404 JOB_NOT_FOUND, 409 JOB_NOT_PENDING or DEADLINE_EXPIRED,
+   *   503 SIGNER_UNAVAILABLE, or the send error
+   */
+  async function replace(id, type, bumpPercent) {
+    const job = store.get(id);
+    if (!job) throw new ApiError(404, 'JOB_NOT_FOUND', 'Swap job not found');
+    if (job.status !== JOB_STATUS.SUBMITTED) {
+      throw new ApiError(409, 'JOB_NOT_PENDING', `Swap job is ${job.status}, only submitted jobs can be replaced`);
+    }
+    if (!signer) throw new ApiError(503, 'SIGNER_UNAVAILABLE', 'No backend signer is configured');
+    const { deadline } = job.request;
+    if (type === 'speedup' && deadline && Math.floor(Date.now() / 1000) > deadline) {
+      throw new ApiError(409, 'DEADLINE_EXPIRED', 'Swap deadline has passed; cancel the job instead');
+    }
+
+    const [pending, receipt, feeData] = await Promise.all([
+      provider.getTransaction(job.transactionHash),
+      provider.getTransactionReceipt(job.transactionHash),
+      provider.getFeeData()
+    ]);
+    if (!pending || receipt) {
+      throw new ApiError(409, 'JOB_NOT_PENDING', 'Swap transaction is no longer pending');
+    }
+
+    const call = type === 'speedup'
+      ? { to: pending.to, data: pending.data, value: pending.value, gasLimit: pending.gasLimit }
+      : { to: await signer.getAddress(), data: '0x', value: 0n, gasLimit: CANCEL_GAS_LIMIT };
+    const tx = await signer.sendTransaction({
+      ...call,
+      nonce: pending.nonce,
+      chainId: pending.chainId,
+      type: 2,
+      ...bumpFees(pending, feeData, bumpPercent)
+    });
+
+    // A poll may have settled the job while the replacement was being sent
+    const current = store.get(id);
+    const attempt = toAttempt(type, tx);
+    if (current.status !== JOB_STATUS.SUBMITTED) {
+      return update(id, { attempts: [...attemptsOf(current), { ...attempt, status: 'replaced' }] });
+    }
+    return update(id, { transactionHash: tx.hash, attempts: [...attemptsOf(current), attempt] });
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      await service.poll();
+      if (running) schedule();
+    }, pollIntervalMs);
+  }
+
+  const service = {
+    /**
+     * Create a swap job and start processing it in the background
+     * @param {Object} request - Swap parameters, amounts as base-unit strings
+     * @returns {Object} The queued job
+     */
+    submit(request) {
+      const id = crypto.randomUUID();
+      const now = new Date().toISOString();
+      const job = store.set(id, {
+        id,
+        status: JOB_STATUS.QUEUED,
+        request,
+        transactionHash: null,
+        blockNumber: null,
+        gasUsed: null,
+        amountOut: null,
+        revertReason: null,
+        error: null,
+        errorCode: null,
+        createdAt: now,
+        updatedAt: now
+      });
+      // Not awaited: the caller gets the job id right away and polls for the outcome
+      run(id).catch((error) => console.error(`Swap job ${id} crashed:`, error));
+      return job;
+    },
+
+    /**
+     * Re-send a job's pending swap at the same nonce with higher fees
+     * @param {string} id - Job id
+     * @param {Object} [options]
+     * @param {number} [options.bumpPercent=DEFAULT_FEE_BUMP_PERCENT] - Fee increase over the pending transaction
+     * @returns {Promise<Object>} The job with the new attempt
+     */
+    speedUp(id, { bumpPercent = DEFAULT_FEE_BUMP_PERCENT } = {}) {
+      return replace(id, 'speedup', bumpPercent);
+    },
+
+    /**
+     * Cancel a job's pending swap with a zero-value self-transfer at the same nonce
+     * @param {string} id - Job id
+     * @param {Object} [options]
+     * @param {number} [options.bumpPercent=DEFAULT_FEE_BUMP_PERCENT] - Fee increase over the pending transaction
+     * @returns {Promise<Object>} The job with the new attempt
+     */
+    cancel(id, { bumpPercent = DEFAULT_FEE_BUMP_PERCENT } = {}) {
+      return replace(id, 'cancel', bumpPercent);
+    },
+
+    /**
+     * Get a job by id
+     * @param {string} id - Job id
+     * @returns {Object|undefined} The job
+     */
+    get(id) {
+      return store.get(id);
+    },
+
+    /**
+     * Check every submitted job once
+     * Concurrent calls share the poll already in progress.
+     * @returns {Promise<void>}
+     */
+    poll() {
+      if (!polling) {
+        const submitted = store.values().filter((job) => job.status === JOB_STATUS.SUBMITTED);
+        polling = Promise.all(submitted.map((job) => check(job.id).catch((error) => {
+          console.error(`Unable to check swap job ${job.id}:`, error);
+        }))).finally(() => {
+          polling = null;
+        });
+      }
+      return polling;
+    },
+
+    /**
+     * Pick up jobs that were in flight when the process stopped
+     * Submitted jobs are checked again, every attempt included. Queued jobs
+     * may or may not have reached the network, so they are failed rather
+     * than sent a second time.
+     * @returns {Promise<void>}
+     */
+    async resume() {
+      for (const job of store.values()) {
+        if (job.status === JOB_STATUS.QUEUED) {
+          update(job.id, { status: JOB_STATUS.FAILED, error: 'Interrupted before submission' });
+        }
+      }
+      await service.poll();
+    },
+
+    /**
+     * Resume interrupted jobs, then keep polling submitted ones
+     */
+    async start() {
+      if (running) return;
+      running = true;
+      await service.resume();
+      if (running) schedule();
+    },
+
+    /**
+     * Stop polling
+     */
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  return service;
+}
+
+module.exports = {
+  JOB_STATUS,
+  DEFAULT_FEE_BUMP_PERCENT,
+  DEFAULT_POLL_INTERVAL_MS,
+  bumpFees,
+  createSwapJobService
+};
@@ -0,0 +1,105 @@
+/**
+ * Token metadata service
+ *
+ * Reads decimals(), symbol() and name() through IERC20Metadata and caches
+ * them per token, and converts amounts between human-readable and base-unit
+ * form using each token's own decimals. An address that does not answer
+ * these views (no code, or not a token) is a 400 INVALID_TOKEN rather than
+ * an RPC failure.
+ */
+
+const { ethers } = require('ethers');
+const { getErc20Contract } = require('../contracts/erc20');
+const { ApiError } = require('../errors');
+
+// ethers errors meaning the address answered, but not like an ERC-20 token:
+// empty or undecodable return data (no code) and reverts
+const NOT_A_TOKEN_ERRORS = ['BAD_DATA', 'CALL_EXCEPTION'];
+
+/**
+ * Create a token metadata service with its own cache
+ * @param {ethers.ContractRunner} runner - Provider used for the metadata calls
+ * @returns {Object} The token metadata service
+ */
+function createTokenMetadataService(runner) {
+  // Pending or resolved lookups keyed by lowercase token address
+  const cache = new Map();
+
+  /**
+   * Get (and cache) the metadata of a token
+   * @param {string} address - Address of the token
+   * @returns {Promise<{ address: string, decimals: number, symbol: string, name: string }>} Token metadata
+   * @throws {ApiError} 400 INVALID_TOKEN if the address does not answer like an ERC-20 token
+   */
+  function getMetadata(address) {
+    const key = address.toLowerCase();
+    if (!cache.has(key)) {
+      const token = getErc20Contract(address, runner);
+      const lookup = Promise.all([token.decimals(), token.symbol(), token.name()])
+        .then(([decimals, symbol, name]) => ({ address, decimals: Number(decimals), symbol, name }))
+        .catch((error) => {
+          // Do not cache failures, the next call should retry
+          cache.delete(key);
+          if (NOT_A_TOKEN_ERRORS.includes(error.code)) {
+            throw new ApiError(400, 'INVALID_TOKEN', 'Address is not an ERC-20 token', { token: address });
+          }
+          throw error;
+        });
+      cache.set(key, lookup);
+    }
+    return cache.get(key);
+  }
+
+  return { getMetadata };
+}
+
+/**
+ * Resolve an amount given either in human-readable or in base-unit form
+ * Exactly one of `body[field]` (human-readable, e.g. "1.5") and
+ * `body[field + 'Raw']` (base units, e.g. "1500000") must be set.
+ * @param {Object} body - Request body or query
+ * @param {string} field - Name of the human-readable field
+ * @param {number} decimals - Decimals of the token the amount is in
+ * @param {Object} [options]
+ * @param {boolean} [options.required=true] - Whether one of the two fields must be set
+ * @returns {bigint|undefined} The amount in base units
+ * @throws {Error} If the input is missing, ambiguous or not a valid amount
+ */
+function parseAmountInput(body, field, decimals, { required = true } = {}) {
+  const rawField = `${field}Raw`;
+  const value = body[field];
+  const raw = body[rawField];
+
+  if (value !== undefined && raw !== undefined) {
+    throw new Error(`Provide either ${field} or ${rawField}, not both`);
+  }
+  if (raw !== undefined) {
+    if (!/^\d+$/.test(String(raw))) throw new Error(`${rawField} must be an integer amount in base units`);
+    return BigInt(raw);
+  }
+  if (value !== undefined) {
+    try {
+      return ethers.parseUnits(String(value), decimals);
+    } catch (error) {
+      throw new Error(`${field} must be a decimal amount with at most ${decimals} decimals`);
+    }
+  }
+  if (required) throw new Error(`${field} or ${rawField} is required`);
+  return undefined;
+}
+
+/**
+ * Express a base-unit amount in both raw and human-readable form
+ * @param {bigint} raw - Amount in base units
+ * @param {number} decimals - Decimals of the token
+ * @returns {{ raw: string, formatted: string }} The amount in both forms
+ */
+function formatAmount(raw, decimals) {
+  return { raw: raw.toString(), formatted: ethers.formatUnits(raw, decimals) };
+}
+
+module.exports = {
+  createTokenMetadataService,
+  parseAmountInput,
+  formatAmount
+};
@@ -0,0 +1,102 @@
+/**
+ * Supported-token registry
+ *
+ * The Swapper's supportedTokens mapping cannot be enumerated and
+ * removeSupportedToken() emits no event, so the registry takes every token
+ * that ever appeared in a SupportedTokenAdded event as a candidate and keeps
+ * the ones the live mapping still reports as supported. Each token comes with
+ * its metadata, the Swapper's current balance and its TWAP when the contract
+ * has enough observations for one.
+ */
+
+const { formatAmount } = require('./tokenMetadata');
+
+// getTWAP() prices are fixed-point numbers with 18 decimals
+const TWAP_DECIMALS = 18;
+
+/**
+ * Create the token registry service
+ * @param {Object} deps
+ * @param {Object} deps.indexer - Event indexer
+ * @param {ethers.Contract} deps.swapperContract - The Swapper contract instance
+ * @param {Object} deps.tokenMetadata - Token metadata service
+ * @returns {Object} The token registry service
+ */
+function createTokenRegistryService({ indexer, swapperContract, tokenMetadata }) {
+  /**
+   * Tokens ever added as supported, with the event that first added them
+   * @returns {Array<Object>} Candidates in the order they were added
+   */
+  function candidates() {
+    const byToken = new Map();
+    for (const event of indexer.events()) {
+      if (event.event !== 'SupportedTokenAdded') continue;
+      const key = event.args.token.toLowerCase();
+      if (!byToken.has(key)) byToken.set(key, event);
+    }
+    return [...byToken.values()];
+  }
+
+  /**
+   * Read a token's TWAP
+   * @param {string} token - Token address
+   * @returns {Promise<Object|null>} The TWAP, or null if the contract has too few observations
+   */
+  async function readTwap(token) {
+    const [price, valid] = await swapperContract.getTWAP(token);
+    return valid ? formatAmount(price, TWAP_DECIMALS) : null;
+  }
+
+  /**
+   * Read a token's metadata, tolerating tokens without the optional ERC-20 views
+   * @param {string} token - Token address
+   * @returns {Promise<Object>} Metadata; symbol, name and decimals are null if unreadable
+   */
+  async function readMetadata(token) {
+    try {
+      return await tokenMetadata.getMetadata(token);
+    } catch (error) {
+      return { address: token, decimals: null, symbol: null, name: null };
+    }
+  }
+
+  /**
+   * Describe one supported token
+   * @param {Object} event - The SupportedTokenAdded event
+   * @returns {Promise<Object>} Metadata, balance, TWAP and when it was added
+   */
+  async function describe(event) {
+    const { token } = event.args;
+    const [meta, balance, twap] = await Promise.all([
+      readMetadata(token),
+      swapperContract.tokenBalances(token),
+      readTwap(token)
+    ]);
+    return {
+      ...meta,
+      balance: meta.decimals === null ? { raw: balance.toString(), formatted: null } : formatAmount(balance, meta.decimals),
+      twap,
+      addedAt: { blockNumber: event.blockNumber, transactionHash: event.transactionHash, timestamp: event.timestamp }
+    };
+  }
+
+  return {
+    candidates,
+    readMetadata,
+
+    /**
+     * List the tokens the Swapper currently supports
+     * @returns {Promise<Array<Object>>} Supported tokens in the order they were added
+     */
+    async list() {
+      const events = candidates();
+      const supported = await Promise.all(events.map((event) => swapperContract.supportedTokens(event.args.token)));
+      return Promise.all(events.filter((event, i) => supported[i]).map(describe));
+    }
+  };
+}
+
+module.exports = {
+  TWAP_DECIMALS,
+  createTokenRegistryService
+};
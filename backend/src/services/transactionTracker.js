@@ -0,0 +1,111 @@
+/**
+ * Transaction tracker
+ *
+ * Follows sent transactions by polling instead of `tx.wait()`, which in
+ * ethers never settles for a contract call whose nonce was taken by another
+ * transaction. Used by swap jobs and admin operations, which both keep the
+ * hashes they sent at one nonce (the original and any replacements).
+ *
+ * Each check reads the sender's mined nonce count, then the receipt of every
+ * hash: a receipt means mined; a mined nonce without one of our receipts
+ * means another transaction took it (replaced); hashes the node no longer
+ * knows for several checks in a row were dropped. A receipt with a failed
+ * status carries no reason, so revertOf() replays the transaction as a call
+ * at its block to decode why it reverted.
+ */
+
+const { decodeRevert } = require('../errors');
+
+const TRANSACTION_STATE = {
+  PENDING: 'pending',
+  MINED: 'mined',
+  REPLACED: 'replaced',
+  DROPPED: 'dropped'
+};
+
+// Checks in a row in which the node knows none of the hashes before they count as dropped
+const DROPPED_AFTER_CHECKS = 3;
+
+/**
+ * Create a transaction tracker
+ * @param {Object} deps
+ * @param {ethers.Provider} deps.provider - Provider used to look up transactions
+ * @returns {Object} The transaction tracker
+ */
+function createTransactionTracker({ provider }) {
+  // Checks in a row in which each tracked item's hashes were unknown to the node
+  const unseen = new Map();
+
+  return {
+    /**
+     * Check the transactions sent for one item (a job or an operation)
+     * @param {string} id - Id of the item, to count checks in which its hashes were unknown
+     * @param {Object} sent
+     * @param {string[]} sent.hashes - Every transaction sent at the nonce
+     * @param {string|null} sent.from - Sender
+     * @param {number|null} sent.nonce - Nonce they were sent at
+     * @returns {Promise<{ state: string, receipt?: ethers.TransactionReceipt }>} One of TRANSACTION_STATE,
+     *   with the receipt once mined
+     */
+    async check(id, { hashes, from, nonce }) {
+      // Read the mined nonce count before the receipts: if the nonce was already
+      // used then and none of our hashes has a receipt, another transaction took it
+      const minedNonces = from && nonce !== undefined && nonce !== null
+        ? await provider.getTransactionCount(from, 'latest')
+        : null;
+      const receipts = await Promise.all(hashes.map((hash) => provider.getTransactionReceipt(hash)));
+      const receipt = receipts.find(Boolean);
+      if (receipt) {
+        unseen.delete(id);
+        return { state: TRANSACTION_STATE.MINED, receipt };
+      }
+      if (minedNonces !== null && minedNonces > nonce) {
+        unseen.delete(id);
+        return { state: TRANSACTION_STATE.REPLACED };
+      }
+
+      const known = await Promise.all(hashes.map((hash) => provider.getTransaction(hash)));
+      if (known.some(Boolean)) {
+        unseen.delete(id);
+        return { state: TRANSACTION_STATE.PENDING };
+      }
+      // Load-balanced RPC endpoints may briefly not know a fresh transaction
+      const checks = (unseen.get(id) || 0) + 1;
+      if (checks < DROPPED_AFTER_CHECKS) {
+        unseen.set(id, checks);
+        return { state: TRANSACTION_STATE.PENDING };
+      }
+      unseen.delete(id);
+      return { state: TRANSACTION_STATE.DROPPED };
+    },
+
+    /**
+     * Find out why a mined transaction reverted by replaying it at its block
+     * @param {ethers.TransactionReceipt} receipt - Receipt of the reverted transaction
+     * @returns {Promise<Error|null>} The revert raised by the replay, or null if it no longer reverts or cannot be replayed
+     */
+    async revertOf(receipt) {
+      try {
+        const tx = await provider.getTransaction(receipt.hash);
+        if (!tx) return null;
+        await provider.call({
+          to: tx.to,
+          from: tx.from,
+          data: tx.data,
+          value: tx.value,
+          gasLimit: tx.gasLimit,
+          blockTag: receipt.blockNumber
+        });
+        return null;
+      } catch (error) {
+        return decodeRevert(error) ? error : null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  TRANSACTION_STATE,
+  DROPPED_AFTER_CHECKS,
+  createTransactionTracker
+};
@@ -0,0 +1,124 @@
+/**
+ * TWAP and price history
+ *
+ * Reads Swapper.getTWAP together with the token's priceHistory entries (the
+ * contract keeps the last MIN_OBSERVATIONS of them) and, when the TWAP is not
+ * valid, explains why by replaying the contract's checks over the same
+ * observations. Every read is pinned to one block, the one reported, so the
+ * TWAP, the observations and the block timestamp they are judged against
+ * agree.
+ */
+
+const { swapperInterface } = require('../contracts/swapper');
+const { ApiError } = require('../errors');
+const { formatAmount } = require('./tokenMetadata');
+const { TWAP_DECIMALS } = require('./tokenRegistry');
+
+// Mirrored from Swapper.sol, where TWAP_PERIOD is private
+const TWAP_PERIOD_SECONDS = 24 * 60 * 60;
+
+// Price history entries read in the same batch as the TWAP, Swapper.sol's MIN_OBSERVATIONS
+const PRICE_HISTORY_READS = 5;
+
+/**
+ * Explain why getTWAP reported an invalid TWAP
+ * Follows the order of the checks in Swapper.getTWAP.
+ * @param {Array<Object>} observations - Price observations, timestamps as numbers
+ * @param {number} minObservations - Swapper's MIN_OBSERVATIONS
+ * @param {number} blockTimestamp - Timestamp of the block the TWAP was read at
+ * @returns {{ code: string, message: string }} The reason
+ */
+function explainInvalidTwap(observations, minObservations, blockTimestamp) {
+  if (observations.length < minObservations) {
+    return {
+      code: 'INSUFFICIENT_OBSERVATIONS',
+      message: `${observations.length} of the ${minObservations} required price observations recorded`
+    };
+  }
+  const periodStart = blockTimestamp - TWAP_PERIOD_SECONDS;
+  const inWindow = observations.filter((observation) => observation.timestamp >= periodStart);
+  if (inWindow.length === 0) {
+    return {
+      code: 'STALE_OBSERVATIONS',
+      message: `All price observations are older than the ${TWAP_PERIOD_SECONDS / 3600}-hour TWAP window`
+    };
+  }
+  return {
+    code: 'NO_ELAPSED_TIME',
+    message: 'No time has elapsed since the observations in the TWAP window'
+  };
+}
+
+/**
+ * Create the TWAP service
+ * @param {Object} deps
+ * @param {ethers.Provider} deps.provider - Provider for the block the reads are pinned to
+ * @param {ethers.Contract} deps.swapperContract - The Swapper contract instance
+ * @param {Object} deps.multicall - Multicall reader (see contracts/multicall)
+ * @returns {Object} The TWAP service
+ */
+function createTwapService({ provider, swapperContract, multicall }) {
+  return {
+    /**
+     * Get a token's TWAP and the observations behind it
+     * @param {string} token - Token address
+     * @returns {Promise<Object>} TWAP, validity, invalid reason and observations, and the block they were read at
+     * @throws {ApiError} 400 UNSUPPORTED_TOKEN if the Swapper does not support the token
+     */
+    async getTwap(token) {
+      const swapper = await swapperContract.getAddress();
+      const swapperCall = (method, args) => ({ target: swapper, iface: swapperInterface, method, args });
+      // Reading past the end of the array reverts, which only marks that entry as missing
+      const historyCalls = (from, to) => Array.from({ length: to - from }, (_, i) => swapperCall('priceHistory', [token, from + i]));
+
+      const block = await provider.getBlock('latest');
+      const blockTag = block.number;
+      const [minimum, supported, twap, ...history] = await multicall.read([
+        swapperCall('MIN_OBSERVATIONS'),
+        swapperCall('supportedTokens', [token]),
+        swapperCall('getTWAP', [token]),
+        ...historyCalls(0, PRICE_HISTORY_READS)
+      ], { blockTag });
+      if (!minimum.success) throw minimum.error;
+      const minObservations = Number(minimum.value);
+      // A Swapper keeping a longer history: read the rest at the same block
+      if (minObservations > PRICE_HISTORY_READS) {
+        history.push(...await multicall.read(historyCalls(PRICE_HISTORY_READS, minObservations), { blockTag }));
+      }
+      if (!supported.success) throw supported.error;
+      if (!supported.value) {
+        throw new ApiError(400, 'UNSUPPORTED_TOKEN', 'Token is not supported by the Swapper');
+      }
+      if (!twap.success) throw twap.error;
+
+      const [price, valid] = twap.value;
+      const blockTimestamp = block.timestamp;
+      const observations = history
+        .slice(0, minObservations)
+        .filter((entry) => entry.success)
+        .map(({ value }) => ({ timestamp: Number(value.timestamp), price: value.price }));
+
+      return {
+        token,
+        twap: formatAmount(price, TWAP_DECIMALS),
+        valid,
+        invalidReason: valid ? null : explainInvalidTwap(observations, minObservations, blockTimestamp),
+        minObservations,
+        windowSeconds: TWAP_PERIOD_SECONDS,
+        blockNumber: block.number,
+        blockTimestamp,
+        observations: observations.map((observation) => ({
+          timestamp: observation.timestamp,
+          price: formatAmount(observation.price, TWAP_DECIMALS),
+          inWindow: observation.timestamp >= blockTimestamp - TWAP_PERIOD_SECONDS
+        }))
+      };
+    }
+  };
+}
+
+module.exports = {
+  TWAP_PERIOD_SECONDS,
+  explainInvalidTwap,
+  createTwapService
+};
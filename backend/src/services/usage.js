@@ -0,0 +1,149 @@
+/**
+ * Usage counters
+ *
+ * Counts requests per API key and per client IP, and the RPC calls each
+ * request makes, so a service that hammers the RPC endpoint shows up by name.
+ * RPC calls are attributed through AsyncLocalStorage: the middleware runs the
+ * rest of the request inside a context, and the instrumented provider charges
+ * each call to whatever context it is made in. Calls made outside a request
+ * (the event indexer, background swap jobs) are counted as `background`.
+ * The context holds the request itself and counters are looked up when
+ * something is charged, so a request identified by its API key after the
+ * middleware ran is still counted against the key.
+ *
+ * Counters live in memory and start over when the process restarts. IPs not
+ * seen for a day are forgotten, so the per-IP counters do not grow forever.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// How long an IP's counters are kept after its last request
+const IP_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Least time between two sweeps of stale IPs
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Provider methods that hit the RPC endpoint
+const RPC_METHODS = [
+  'call',
+  'estimateGas',
+  'getBlock',
+  'getBlockNumber',
+  'getCode',
+  'getLogs',
+  'getTransaction',
+  'getTransactionReceipt',
+  'getTransactionCount',
+  'getFeeData',
+  'broadcastTransaction'
+];
+
+/**
+ * Empty counters
+ * @returns {Object} Counters
+ */
+function emptyCounters() {
+  return { requests: 0, rateLimited: 0, rpcCalls: 0, routes: {}, lastSeenAt: null };
+}
+
+/**
+ * Create the usage tracker
+ * @returns {Object} The usage tracker
+ */
+function createUsageTracker() {
+  const context = new AsyncLocalStorage();
+  const since = new Date().toISOString();
+  const keys = new Map();
+  const ips = new Map();
+  let backgroundRpcCalls = 0;
+  let sweptAt = Date.now();
+
+  const countersOf = (map, id) => {
+    if (!map.has(id)) map.set(id, emptyCounters());
+    return map.get(id);
+  };
+
+  // The IP's counters, plus the API key's when the request was made with one
+  const countersFor = (req) => {
+    const key = req.requester && req.requester.type === 'api-key' ? req.requester : null;
+    return [countersOf(ips, req.ip), ...(key ? [countersOf(keys, key.id)] : [])];
+  };
+
+  const sweepIps = () => {
+    const time = Date.now();
+    if (time - sweptAt < SWEEP_INTERVAL_MS) return;
+    sweptAt = time;
+    for (const [ip, counters] of ips) {
+      if (counters.lastSeenAt && time - Date.parse(counters.lastSeenAt) > IP_RETENTION_MS) ips.delete(ip);
+    }
+  };
+
+  return {
+    /**
+     * Middleware counting the request and attributing its RPC calls
+     * Runs before the rate limiters and auth.identify, so 429s and 401s are counted.
+     * @returns {Function} Express middleware
+     */
+    middleware() {
+      return (req, res, next) => {
+        res.on('finish', () => {
+          sweepIps();
+          // Matched routes are counted by pattern so /pool/:token does not fan out per token
+          const route = `${req.method} ${req.route ? `${req.baseUrl}${req.route.path}` : '(unmatched)'}`;
+          for (const entry of countersFor(req)) {
+            entry.requests += 1;
+            if (res.statusCode === 429) entry.rateLimited += 1;
+            entry.routes[route] = (entry.routes[route] || 0) + 1;
+            entry.lastSeenAt = new Date().toISOString();
+          }
+        });
+        context.run(req, next);
+      };
+    },
+
+    /**
+     * Count the RPC calls made through a provider
+     * Patches the provider in place, so contracts and signers built on it are counted too.
+     * @param {ethers.Provider} provider - The provider
+     * @returns {ethers.Provider} The same provider
+     */
+    instrument(provider) {
+      for (const method of RPC_METHODS) {
+        if (typeof provider[method] !== 'function') continue;
+        const original = provider[method];
+        provider[method] = function countedRpcCall(...args) {
+          const req = context.getStore();
+          if (req) {
+            for (const entry of countersFor(req)) entry.rpcCalls += 1;
+          } else {
+            backgroundRpcCalls += 1;
+          }
+          return original.apply(this, args);
+        };
+      }
+      return provider;
+    },
+
+    /**
+     * Report the counters
+     * @param {Array<Object>} apiKeys - Key records, to name the keys
+     * @returns {Object} Counters per key and per IP, busiest RPC users first
+     */
+    report(apiKeys) {
+      const byRpcCalls = (a, b) => b.rpcCalls - a.rpcCalls || b.requests - a.requests;
+      const names = new Map(apiKeys.map((key) => [key.id, key.name]));
+      return {
+        since,
+        backgroundRpcCalls,
+        keys: [...keys].map(([id, counters]) => ({ id, name: names.get(id) || null, ...counters })).sort(byRpcCalls),
+        ips: [...ips].map(([ip, counters]) => ({ ip, ...counters })).sort(byRpcCalls)
+      };
+    }
+  };
+}
+
+module.exports = {
+  IP_RETENTION_MS,
+  RPC_METHODS,
+  createUsageTracker
+};
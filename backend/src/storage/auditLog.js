@@ -0,0 +1,56 @@
+/**
+ * Append-only audit log
+ *
+ * One JSON object per line, appended and never rewritten, so the file can be
+ * shipped or tailed as-is. Entries are also kept in memory for reading back
+ * through the API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an audit log persisted as JSON Lines
+ * @param {string|null} filePath - Path of the log file, or null to keep entries in memory only
+ * @returns {Object} The audit log
+ */
+function createAuditLog(filePath) {
+  const entries = [];
+  if (filePath && fs.existsSync(filePath)) {
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (line.trim()) entries.push(JSON.parse(line));
+    }
+  }
+
+  return {
+    /**
+     * Append an entry
+     * @param {Object} entry - JSON-serializable entry
+     * @returns {Object} The entry with its recorded time
+     */
+    append(entry) {
+      const recorded = { at: new Date().toISOString(), ...entry };
+      if (filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, `${JSON.stringify(recorded)}\n`);
+      }
+      entries.push(recorded);
+      return recorded;
+    },
+
+    /**
+     * List entries, newest first
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Keep only the most recent entries
+     * @returns {Array<Object>} The entries
+     */
+    list({ limit } = {}) {
+      const newest = [...entries].reverse();
+      return limit === undefined ? newest : newest.slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  createAuditLog
+};
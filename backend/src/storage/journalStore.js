@@ -0,0 +1,163 @@
+/**
+ * Append-only keyed store
+ *
+ * Same interface as the JSON store, for collections that only grow with
+ * chain history (indexed events): instead of rewriting the whole file on
+ * every change, each change is appended as one JSON line, `{ "set": [[key,
+ * record], ...] }` or `{ "delete": [key, ...] }`. The journal is replayed
+ * when the store is opened and compacted to one `set` line per record when
+ * superseded lines make up most of it. A file written by the JSON store is
+ * read as a snapshot and converted on open.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Superseded lines tolerated per live record before the journal is compacted on open
+const COMPACT_RATIO = 2;
+
+/**
+ * Read a journal (or a JSON store snapshot) into records
+ * @param {string} filePath - Path of the file
+ * @returns {{ records: Object, lines: number, snapshot: boolean }} The records and how they were stored
+ */
+function readJournal(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  // The JSON store writes one pretty-printed object; journal lines are never indented
+  if (text.startsWith('{\n') || text.trim() === '{}') {
+    return { records: JSON.parse(text), lines: 0, snapshot: true };
+  }
+  const records = {};
+  let lines = 0;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    let change;
+    try {
+      change = JSON.parse(line);
+    } catch (error) {
+      // A line torn by a crash mid-append is the last one; what precedes it is intact
+      console.error(`Ignoring a torn line at the end of ${filePath}`);
+      break;
+    }
+    lines += 1;
+    for (const [key, value] of change.set || []) records[key] = value;
+    for (const key of change.delete || []) delete records[key];
+  }
+  return { records, lines, snapshot: false };
+}
+
+/**
+ * Create a keyed store persisted as an append-only journal
+ * @param {string|null} filePath - Path of the journal, or null to keep the store in memory only
+ * @returns {Object} The store (see storage/jsonStore)
+ */
+function createJournalStore(filePath) {
+  let records = {};
+
+  function compact() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    const lines = Object.entries(records).map((entry) => `${JSON.stringify({ set: [entry] })}\n`);
+    fs.writeFileSync(tmpPath, lines.join(''));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  if (filePath && fs.existsSync(filePath)) {
+    const journal = readJournal(filePath);
+    records = journal.records;
+    const live = Object.keys(records).length;
+    if (journal.snapshot || journal.lines > COMPACT_RATIO * Math.max(live, 1)) compact();
+  }
+
+  function append(change) {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(change)}\n`);
+  }
+
+  return {
+    /**
+     * Get a record by key
+     * @param {string} key - Record key
+     * @returns {Object|undefined} The record
+     */
+    get(key) {
+      return records[key];
+    },
+
+    /**
+     * Insert or replace a record
+     * @param {string} key - Record key
+     * @param {Object} value - JSON-serializable record
+     * @returns {Object} The stored record
+     */
+    set(key, value) {
+      records[key] = value;
+      append({ set: [[key, value]] });
+      return value;
+    },
+
+    /**
+     * Insert or replace several records with a single append
+     * @param {Array<[string, Object]>} entries - Key/record pairs
+     */
+    setMany(entries) {
+      for (const [key, value] of entries) {
+        records[key] = value;
+      }
+      append({ set: entries });
+    },
+
+    /**
+     * Merge fields into an existing record
+     * @param {string} key - Record key
+     * @param {Object} fields - Fields to merge
+     * @returns {Object} The updated record
+     */
+    update(key, fields) {
+      records[key] = { ...records[key], ...fields };
+      append({ set: [[key, records[key]]] });
+      return records[key];
+    },
+
+    /**
+     * Remove a record
+     * @param {string} key - Record key
+     */
+    delete(key) {
+      delete records[key];
+      append({ delete: [key] });
+    },
+
+    /**
+     * Remove several records with a single append
+     * @param {string[]} keys - Record keys
+     */
+    deleteMany(keys) {
+      for (const key of keys) {
+        delete records[key];
+      }
+      append({ delete: keys });
+    },
+
+    /**
+     * List all records
+     * @returns {Array<Object>} The records
+     */
+    values() {
+      return Object.values(records);
+    },
+
+    /**
+     * List all records with their keys
+     * @returns {Array<[string, Object]>} Key/record pairs
+     */
+    entries() {
+      return Object.entries(records);
+    }
+  };
+}
+
+module.exports = {
+  createJournalStore
+};
@@ -0,0 +1,116 @@
+/**
+ * File-backed JSON store
+ *
+ * A small keyed collection kept in memory and written to a JSON file on every
+ * change, so state such as swap jobs survives a restart. Writes go to a
+ * temporary file first and are renamed into place to avoid torn files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a keyed JSON store persisted to a file
+ * @param {string|null} filePath - Path of the JSON file, or null to keep the store in memory only
+ * @returns {Object} The store
+ */
+function createJsonStore(filePath) {
+  let records = {};
+  if (filePath && fs.existsSync(filePath)) {
+    records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  function persist() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    /**
+     * Get a record by key
+     * @param {string} key - Record key
+     * @returns {Object|undefined} The record
+     */
+    get(key) {
+      return records[key];
+    },
+
+    /**
+     * Insert or replace a record
+     * @param {string} key - Record key
+     * @param {Object} value - JSON-serializable record
+     * @returns {Object} The stored record
+     */
+    set(key, value) {
+      records[key] = value;
+      persist();
+      return value;
+    },
+
+    /**
+     * Insert or replace several records with a single write
+     * @param {Array<[string, Object]>} entries - Key/record pairs
+     */
+    setMany(entries) {
+      for (const [key, value] of entries) {
+        records[key] = value;
+      }
+      persist();
+    },
+
+    /**
+     * Merge fields into an existing record
+     * @param {string} key - Record key
+     * @param {Object} fields - Fields to merge
+     * @returns {Object} The updated record
+     */
+    update(key, fields) {
+      records[key] = { ...records[key], ...fields };
+      persist();
+      return records[key];
+    },
+
+    /**
+     * Remove a record
+     * @param {string} key - Record key
+     */
+    delete(key) {
+      delete records[key];
+      persist();
+    },
+
+    /**
+     * Remove several records with a single write
+     * @param {string[]} keys - Record keys
+     */
+    deleteMany(keys) {
+      for (const key of keys) {
+        delete records[key];
+      }
+      persist();
+    },
+
+    /**
+     * List all records
+     * @returns {Array<Object>} The records
+     */
+    values() {
+      return Object.values(records);
+    },
+
+    /**
+     * List all records with their keys
+     * @returns {Array<[string, Object]>} Key/record pairs
+     */
+    entries() {
+      return Object.entries(records);
+    }
+  };
+}
+
+module.exports = {
+  createJsonStore
+};
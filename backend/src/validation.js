@@ -0,0 +1,318 @@
+/**
+ * Request validation
+ *
+ * Small schema layer run as Express middleware before a route touches the
+ * chain. Each field rule either returns the normalized value (e.g. a
+ * checksummed address) or throws with a message; all field errors are
+ * collected and returned together as one 400:
+ *
+ *   { "error": "Invalid request", "code": "VALIDATION_FAILED",
+ *     "details": { "fields": [{ "field": "fromToken", "message": "..." }] } }
+ */
+
+const { ethers } = require('ethers');
+const { ApiError } = require('./errors');
+const { decodeCursor } = require('./services/pagination');
+const { parseEventId } = require('./services/eventStream');
+
+// Largest slippage tolerance accepted, in basis points (50%)
+const MAX_SLIPPAGE_BPS = 5000;
+
+// Furthest in the future a swap deadline may be set, in seconds
+const MAX_DEADLINE_SECONDS = 60 * 60;
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+const INTEGER_PATTERN = /^\d+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Address rule: parses and checksums an address
+ * @param {Object} [options]
+ * @param {boolean} [options.required=true] - Whether the field must be set
+ * @returns {Function} Field rule
+ */
+function address({ required = true } = {}) {
+  return (input, name) => {
+    const value = input[name];
+    if (isMissing(value)) {
+      if (required) throw new Error('is required');
+      return undefined;
+    }
+    if (typeof value !== 'string') throw new Error('must be an address string');
+    try {
+      return ethers.getAddress(value);
+    } catch (error) {
+      throw new Error(/^0x[0-9a-fA-F]{40}$/.test(value) ? 'has an invalid checksum' : 'must be a valid address');
+    }
+  };
+}
+
+/**
+ * Address list rule: comma-separated addresses, each parsed and checksummed
+ * @returns {Function} Field rule returning an array of addresses
+ */
+function addressList() {
+  return (input, name) => {
+    const value = input[name];
+    if (isMissing(value)) return undefined;
+    if (typeof value !== 'string') throw new Error('must be a comma-separated list of addresses');
+    return value.split(',').map((item, i) => {
+      try {
+        return ethers.getAddress(item.trim());
+      } catch (error) {
+        throw new Error(`entry ${i + 1} is not a valid address`);
+      }
+    });
+  };
+}
+
+/**
+ * Amount rule: a positive amount given as `<name>` (human-readable) or `<name>Raw` (base units)
+ * The value is left as a string; token decimals are applied by the route.
+ * @param {Object} [options]
+ * @param {boolean} [options.required=true] - Whether one of the two fields must be set
+ * @param {boolean} [options.allowZero=false] - Whether zero is accepted (bounds such as minAmountOut)
+ * @returns {Function} Field rule
+ */
+function amount({ required = true, allowZero = false } = {}) {
+  return (input, name) => {
+    const rawName = `${name}Raw`;
+    const value = input[name];
+    const raw = input[rawName];
+    if (!isMissing(value) && !isMissing(raw)) throw new Error(`provide either ${name} or ${rawName}, not both`);
+
+    if (!isMissing(raw)) {
+      if (!INTEGER_PATTERN.test(String(raw))) throw new Error(`${rawName} must be an integer amount in base units`);
+      if (!allowZero && BigInt(raw) === 0n) throw new Error(`${rawName} must be greater than zero`);
+      return undefined;
+    }
+    if (!isMissing(value)) {
+      if (!DECIMAL_PATTERN.test(String(value))) {
+        throw new Error(allowZero ? 'must be a non-negative decimal amount' : 'must be a positive decimal amount');
+      }
+      if (!allowZero && !/[1-9]/.test(String(value))) throw new Error('must be greater than zero');
+      return undefined;
+    }
+    if (required) throw new Error(`${name} or ${rawName} is required`);
+    return undefined;
+  };
+}
+
+/**
+ * Integer rule with inclusive bounds
+ * @param {Object} options
+ * @param {number} options.min - Smallest accepted value
+ * @param {number} options.max - Largest accepted value
+ * @param {boolean} [options.required=false] - Whether the field must be set
+ * @returns {Function} Field rule
+ */
+function integer({ min, max, required = false }) {
+  return (input, name) => {
+    const value = input[name];
+    if (isMissing(value)) {
+      if (required) throw new Error('is required');
+      return undefined;
+    }
+    if (!INTEGER_PATTERN.test(String(value))) throw new Error('must be a non-negative integer');
+    const number = Number(value);
+    if (number < min || number > max) throw new Error(`must be between ${min} and ${max}`);
+    return number;
+  };
+}
+
+/**
+ * Deadline rule: a unix timestamp (seconds) in the near future
+ * @param {Object} [options]
+ * @param {number} [options.maxSeconds=MAX_DEADLINE_SECONDS] - Furthest accepted distance from now
+ * @returns {Function} Field rule
+ */
+function deadline({ maxSeconds = MAX_DEADLINE_SECONDS } = {}) {
+  return (input, name) => {
+    const value = input[name];
+    if (isMissing(value)) return undefined;
+    if (!INTEGER_PATTERN.test(String(value))) throw new Error('must be a unix timestamp in seconds');
+    const now = Math.floor(Date.now() / 1000);
+    const number = Number(value);
+    if (number <= now) throw new Error('must be in the future');
+    if (number > now + maxSeconds) throw new Error(`must be at most ${maxSeconds} seconds from now`);
+    return number;
+  };
+}
+
+/**
+ * UUID rule (job ids)
+ * @returns {Function} Field rule
+ */
+function uuid() {
+  return (input, name) => {
+    const value = input[name];
+    if (typeof value !== 'string' || !UUID_PATTERN.test(value)) throw new Error('must be a UUID');
+    return value;
+  };
+}
+
+/**
+ * Text rule: a non-empty string
+ * @returns {Function} Field rule
+ */
+function text() {
+  return (input, name) => {
+    if (typeof input[name] !== 'string' || input[name] === '') throw new Error('must be a non-empty string');
+    return undefined;
+  };
+}
+
+/**
+ * Name rule: a short label made of letters, digits, dots, dashes and underscores (API key names)
+ * @returns {Function} Field rule
+ */
+function keyName() {
+  return (input, name) => {
+    const value = input[name];
+    if (typeof value !== 'string' || !/^[\w.-]{1,64}$/.test(value)) {
+      throw new Error('must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    return value;
+  };
+}
+
+/**
+ * Enumeration rule: one of a fixed set of strings
+ * @param {string[]} values - Accepted values
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - Whether the field must be set
+ * @returns {Function} Field rule
+ */
+function oneOf(values, { required = false } = {}) {
+  return (input, name) => {
+    const value = input[name];
+    if (isMissing(value)) {
+      if (required) throw new Error('is required');
+      return undefined;
+    }
+    if (!values.includes(value)) throw new Error(`must be one of ${values.join(', ')}`);
+    return value;
+  };
+}
+
+/**
+ * Cursor rule: a pagination cursor from a previous page
+ * @returns {Function} Field rule returning the decoded position
+ */
+function cursor() {
+  return (input, name) => {
+    const value = input[name];
+    if (isMissing(value)) return undefined;
+    return decodeCursor(value);
+  };
+}
+
+/**
+ * Event id rule: `<blockNumber>-<logIndex>` as sent in SSE ids
+ * @returns {Function} Field rule
+ */
+function eventId() {
+  return (input, name) => {
+    const value = input[name];
+    if (isMissing(value)) return undefined;
+    if (!parseEventId(value)) throw new Error('must be an event id (<blockNumber>-<logIndex>)');
+    return value;
+  };
+}
+
+/**
+ * Cross-field check: two address fields must differ
+ * @param {string} a - First field
+ * @param {string} b - Second field
+ * @returns {Function} Check returning field errors
+ */
+function distinct(a, b) {
+  return (values) => {
+    if (values[a] && values[b] && values[a] === values[b]) {
+      return [{ field: b, message: `must differ from ${a}` }];
+    }
+    return [];
+  };
+}
+
+/**
+ * Cross-field check: at most one of the given fields may be set
+ * @param {...string} names - Field names (amount pairs are matched with their Raw variant too)
+ * @returns {Function} Check returning field errors
+ */
+function exclusive(...names) {
+  return (values, input) => {
+    const present = names.filter((name) => !isMissing(input[name]) || !isMissing(input[`${name}Raw`]));
+    if (present.length > 1) {
+      return [{ field: present[1], message: `cannot be combined with ${present[0]}` }];
+    }
+    return [];
+  };
+}
+
+/**
+ * Build a validation middleware
+ * Normalized values are written back to the validated request property.
+ * @param {Object} schema
+ * @param {Object} [schema.body] - Field rules for req.body
+ * @param {Object} [schema.query] - Field rules for req.query
+ * @param {Object} [schema.params] - Field rules for req.params
+ * @param {Array<Function>} [schema.checks] - Cross-field checks run on the merged values
+ * @returns {Function} Express middleware
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const values = {};
+    const input = {};
+
+    for (const source of ['params', 'query', 'body']) {
+      const rules = schema[source];
+      if (!rules) continue;
+      const data = req[source] || {};
+      Object.assign(input, data);
+
+      for (const [name, rule] of Object.entries(rules)) {
+        try {
+          const value = rule(data, name);
+          if (value !== undefined) {
+            values[name] = value;
+            data[name] = value;
+          }
+        } catch (error) {
+          errors.push({ field: name, message: error.message });
+        }
+      }
+    }
+
+    for (const check of schema.checks || []) {
+      errors.push(...check(values, input));
+    }
+
+    if (errors.length > 0) {
+      return next(new ApiError(400, 'VALIDATION_FAILED', 'Invalid request', { fields: errors }));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  MAX_SLIPPAGE_BPS,
+  MAX_DEADLINE_SECONDS,
+  address,
+  addressList,
+  amount,
+  integer,
+  deadline,
+  uuid,
+  text,
+  keyName,
+  oneOf,
+  cursor,
+  eventId,
+  distinct,
+  exclusive,
+  validate
+};
@@ -0,0 +1,162 @@
+// File: swapJobs.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createSwapJobService } = require('./src/services/swapJobs');
+const { createJsonStore } = require('./src/storage/jsonStore');
+const { createFakeChain, BACKEND_ADDRESS, NETWORK_FEES, TOKENS } = require('./fakeChain');
+
+const { WETH, USDC } = TOKENS;
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const swapRequest = (fields = {}) => ({
+  fromToken: WETH.address,
+  toToken: USDC.address,
+  amountIn: (10n ** 18n).toString(),
+  minAmountOut: '0',
+  deadline: null,
+  ...fields
+});
+
+describe('Swap jobs', () => {
+  let chain;
+  let dir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    chain = createFakeChain();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-jobs-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A new service over the same file stands in for a restarted process
+  const createService = () => createSwapJobService({
+    store: createJsonStore(path.join(dir, 'swap-jobs.json')),
+    swapperContract: chain.swapper,
+    provider: chain.provider,
+    signer: chain.signer
+  });
+
+  test('records the receipt of a swap mined right away', async () => {
+    const jobs = createService();
+    const { id } = jobs.submit(swapRequest());
+    await flush();
+
+    expect(jobs.get(id)).toMatchObject({
+      status: 'mined',
+      from: BACKEND_ADDRESS,
+      nonce: 0,
+      blockNumber: 101,
+      amountOut: '2961474103',
+      attempts: [{ type: 'original', status: 'mined' }]
+    });
+  });
+
+  test('fails jobs whose swap cannot be sent or reverts once mined', async () => {
+    const jobs = createService();
+    const refused = jobs.submit(swapRequest({ minAmountOut: (10n ** 12n).toString() }));
+    chain.state.stuck = true;
+    const reverted = jobs.submit(swapRequest({ minAmountOut: (10n ** 12n).toString() }));
+    await flush();
+    expect(jobs.get(refused.id)).toMatchObject({ status: 'failed', errorCode: 'SLIPPAGE_EXCEEDED', revertReason: 'SlippageExceeded' });
+    expect(jobs.get(reverted.id).status).toBe('submitted');
+
+    chain.mine();
+    await jobs.poll();
+    expect(jobs.get(reverted.id)).toMatchObject({
+      status: 'failed',
+      error: 'Transaction reverted',
+      errorCode: 'SLIPPAGE_EXCEEDED',
+      revertReason: 'SlippageExceeded',
+      gasUsed: '95000'
+    });
+  });
+
+  test('marks a job replaced when another transaction takes its nonce', async () => {
+    chain.state.stuck = true;
+    const jobs = createService();
+    const { id } = jobs.submit(swapRequest());
+    await flush();
+    await jobs.poll();
+    expect(jobs.get(id).status).toBe('submitted');
+
+    // Sent at the same nonce by something other than the job service
+    await chain.signer.sendTransaction({ to: BACKEND_ADDRESS, nonce: 0, value: 0n, ...NETWORK_FEES });
+    chain.mine();
+    await jobs.poll();
+    expect(jobs.get(id)).toMatchObject({
+      status: 'replaced',
+      error: 'Nonce 0 was used by another transaction',
+      attempts: [{ type: 'original', status: 'replaced' }]
+    });
+  });
+
+  test('fails a job once the node has not known its transaction for several polls', async () => {
+    chain.state.stuck = true;
+    const jobs = createService();
+    const { id } = jobs.submit(swapRequest());
+    await flush();
+
+    // The node evicts the transaction and its nonce is free again
+    chain.state.transactions.delete(jobs.get(id).transactionHash);
+    chain.state.mempool.clear();
+    chain.state.nonce -= 1;
+    await jobs.poll();
+    await jobs.poll();
+    expect(jobs.get(id).status).toBe('submitted');
+    await jobs.poll();
+    expect(jobs.get(id)).toMatchObject({ status: 'failed', errorCode: 'TRANSACTION_DROPPED', attempts: [{ status: 'dropped' }] });
+  });
+
+  test('follows a cancel even though the swap\'s wait() never settles', async () => {
+    chain.state.stuck = true;
+    const jobs = createService();
+    const { id } = jobs.submit(swapRequest());
+    await flush();
+    const original = await chain.provider.getTransaction(jobs.get(id).transactionHash);
+    const waited = jest.fn();
+    original.wait().then(waited);
+
+    const cancelled = await jobs.cancel(id);
+    expect(cancelled.attempts.map((attempt) => [attempt.type, attempt.status])).toEqual([['original', 'pending'], ['cancel', 'pending']]);
+    chain.mine();
+    await jobs.poll();
+    expect(waited).not.toHaveBeenCalled();
+    expect(jobs.get(id)).toMatchObject({
+      status: 'cancelled',
+      transactionHash: cancelled.attempts[1].transactionHash,
+      amountOut: null,
+      attempts: [{ status: 'replaced' }, { status: 'mined' }]
+    });
+  });
+
+  test('resumes after a restart: fails queued jobs and finds whichever attempt was mined', async () => {
+    chain.state.stuck = true;
+    const jobs = createService();
+    const { id } = jobs.submit(swapRequest());
+    await flush();
+    const sped = await jobs.speedUp(id);
+    const queuedId = ethers.id('interrupted');
+    createJsonStore(path.join(dir, 'swap-jobs.json')).set(queuedId, { id: queuedId, status: 'queued', request: swapRequest() });
+
+    // Mined while the process was down
+    chain.mine();
+    const restarted = createService();
+    await restarted.resume();
+
+    expect(restarted.get(queuedId)).toMatchObject({ status: 'failed', error: 'Interrupted before submission' });
+    expect(restarted.get(id)).toMatchObject({
+      status: 'mined',
+      transactionHash: sped.attempts[1].transactionHash,
+      amountOut: '2961474103',
+      attempts: [{ type: 'original', status: 'replaced' }, { type: 'speedup', status: 'mined' }]
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// File: swapper.test.js
+
+const { ethers } = require('ethers');
+const {
+  SWAPPER_ABI,
+  REQUIRED_FUNCTIONS,
+  REQUIRED_EVENTS,
+  REQUIRED_ERRORS,
+  swapperInterface,
+  assertSwapperAbi
+} = require('./src/contracts/swapper');
+const { loadAbi } = require('./src/contracts/artifacts');
+
+/**
+ * Build an interface from the Swapper ABI without some of its members
+ * @param {...string} names - Names of the functions, events or errors to drop
+ * @returns {ethers.Interface} The interface
+ */
+const withoutMembers = (...names) => new ethers.Interface(SWAPPER_ABI.filter((fragment) => !names.includes(fragment.name)));
+
+describe('Swapper ABI', () => {
+  test('the Foundry artifact has every member the backend uses', () => {
+    expect(() => assertSwapperAbi(swapperInterface)).not.toThrow();
+    expect(REQUIRED_FUNCTIONS).toContain('swap');
+    expect(REQUIRED_EVENTS).toContain('TokenSwap');
+    expect(REQUIRED_ERRORS).toContain('SlippageExceeded');
+  });
+
+  test('names each missing function, event and error', () => {
+    expect(() => assertSwapperAbi(withoutMembers('swap'))).toThrow(
+      'Swapper ABI is missing members used by the backend: function swap'
+    );
+    expect(() => assertSwapperAbi(withoutMembers('SlippageExceeded'))).toThrow(
+      'Swapper ABI is missing members used by the backend: error SlippageExceeded'
+    );
+    expect(() => assertSwapperAbi(withoutMembers('getTWAP', 'TokenSwap', 'UnsupportedToken'))).toThrow(
+      'Swapper ABI is missing members used by the backend: function getTWAP, event TokenSwap, error UnsupportedToken'
+    );
+  });
+
+  test('checks the names it is given instead of the defaults', () => {
+    const iface = withoutMembers('swap');
+    expect(() => assertSwapperAbi(iface, { functions: ['owner'], events: [], errors: [] })).not.toThrow();
+    expect(() => assertSwapperAbi(iface, { functions: ['swapExactIn'], events: [], errors: [] })).toThrow(/function swapExactIn/);
+  });
+
+  test('refuses an artifact that cannot be loaded or has no ABI', () => {
+    expect(() => loadAbi('/nonexistent/Swapper.json')).toThrow(/^Unable to load artifact at \/nonexistent\/Swapper.json/);
+    expect(() => loadAbi(require.resolve('./package.json'))).toThrow(/has no ABI$/);
+  });
+});
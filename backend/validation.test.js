@@ -0,0 +1,158 @@
+// File: validation.test.js
+
+const {
+  address,
+  addressList,
+  amount,
+  integer,
+  deadline,
+  uuid,
+  text,
+  keyName,
+  oneOf,
+  cursor,
+  eventId,
+  distinct,
+  exclusive,
+  validate
+} = require('./src/validation');
+const { encodeCursor } = require('./src/services/pagination');
+
+const WETH = '0x1111111111111111111111111111111111111111';
+const CHECKSUMMED = '0x8361B8Cfe378F2f120B3aA375361883213F7Fea9';
+
+/**
+ * Run a field rule on one input
+ * @param {Function} rule - Field rule
+ * @param {Object} input - Request data
+ * @returns {Object} { value } or { error } with the rule's message
+ */
+const run = (rule, input, name = 'field') => {
+  try {
+    return { value: rule(input, name) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+describe('Validation rules', () => {
+  test('address checksums and rejects malformed or miss-checksummed addresses', () => {
+    expect(run(address(), { field: CHECKSUMMED.toLowerCase() })).toEqual({ value: CHECKSUMMED });
+    expect(run(address(), {})).toEqual({ error: 'is required' });
+    expect(run(address({ required: false }), {})).toEqual({ value: undefined });
+    expect(run(address(), { field: 42 })).toEqual({ error: 'must be an address string' });
+    expect(run(address(), { field: '0x123...' })).toEqual({ error: 'must be a valid address' });
+    expect(run(address(), { field: CHECKSUMMED.replace('B', 'b') })).toEqual({ error: 'has an invalid checksum' });
+  });
+
+  test('addressList splits and checksums each entry', () => {
+    expect(run(addressList(), { field: `${WETH}, ${CHECKSUMMED.toLowerCase()}` })).toEqual({ value: [WETH, CHECKSUMMED] });
+    expect(run(addressList(), {})).toEqual({ value: undefined });
+    expect(run(addressList(), { field: ['x'] })).toEqual({ error: 'must be a comma-separated list of addresses' });
+    expect(run(addressList(), { field: `${WETH},nope` })).toEqual({ error: 'entry 2 is not a valid address' });
+  });
+
+  test('amount takes a positive human-readable or raw amount, not both', () => {
+    expect(run(amount(), { field: '1.5' })).toEqual({ value: undefined });
+    expect(run(amount(), { fieldRaw: '1500' })).toEqual({ value: undefined });
+    expect(run(amount(), {})).toEqual({ error: 'field or fieldRaw is required' });
+    expect(run(amount({ required: false }), {})).toEqual({ value: undefined });
+    expect(run(amount(), { field: '1', fieldRaw: '1' })).toEqual({ error: 'provide either field or fieldRaw, not both' });
+    expect(run(amount(), { field: '-1' })).toEqual({ error: 'must be a positive decimal amount' });
+    expect(run(amount(), { field: '0.0' })).toEqual({ error: 'must be greater than zero' });
+    expect(run(amount(), { fieldRaw: '1.5' })).toEqual({ error: 'fieldRaw must be an integer amount in base units' });
+    expect(run(amount(), { fieldRaw: '0' })).toEqual({ error: 'fieldRaw must be greater than zero' });
+  });
+
+  test('amount accepts zero when allowed, as for minAmountOut', () => {
+    expect(run(amount({ allowZero: true }), { field: '0' })).toEqual({ value: undefined });
+    expect(run(amount({ allowZero: true }), { fieldRaw: '0' })).toEqual({ value: undefined });
+    expect(run(amount({ allowZero: true }), { field: '-1' })).toEqual({ error: 'must be a non-negative decimal amount' });
+  });
+
+  test('integer enforces inclusive bounds', () => {
+    const rule = integer({ min: 1, max: 10 });
+    expect(run(rule, { field: '10' })).toEqual({ value: 10 });
+    expect(run(rule, {})).toEqual({ value: undefined });
+    expect(run(integer({ min: 1, max: 10, required: true }), {})).toEqual({ error: 'is required' });
+    expect(run(rule, { field: '1.5' })).toEqual({ error: 'must be a non-negative integer' });
+    expect(run(rule, { field: '11' })).toEqual({ error: 'must be between 1 and 10' });
+  });
+
+  test('deadline must be a near-future unix time', () => {
+    const now = Math.floor(Date.now() / 1000);
+    expect(run(deadline(), { field: String(now + 60) })).toEqual({ value: now + 60 });
+    expect(run(deadline(), {})).toEqual({ value: undefined });
+    expect(run(deadline(), { field: 'tomorrow' })).toEqual({ error: 'must be a unix timestamp in seconds' });
+    expect(run(deadline(), { field: String(now - 1) })).toEqual({ error: 'must be in the future' });
+    expect(run(deadline({ maxSeconds: 60 }), { field: String(now + 120) })).toEqual({ error: 'must be at most 60 seconds from now' });
+  });
+
+  test('uuid, oneOf and cursor', () => {
+    const id = '00000000-0000-4000-8000-000000000000';
+    expect(run(uuid(), { field: id })).toEqual({ value: id });
+    expect(run(uuid(), { field: 'job-1' })).toEqual({ error: 'must be a UUID' });
+
+    expect(run(oneOf(['a', 'b']), { field: 'b' })).toEqual({ value: 'b' });
+    expect(run(oneOf(['a', 'b'], { required: true }), {})).toEqual({ error: 'is required' });
+    expect(run(oneOf(['a', 'b']), { field: 'c' })).toEqual({ error: 'must be one of a, b' });
+
+    const position = { blockNumber: 12, logIndex: 3 };
+    expect(run(cursor(), { field: encodeCursor(position) })).toEqual({ value: position });
+    expect(run(cursor(), { field: 'garbage' })).toEqual({ error: 'is not a valid cursor' });
+  });
+
+  test('text requires a non-empty string', () => {
+    expect(run(text(), { field: 'hello' })).toEqual({ value: undefined });
+    expect(run(text(), { field: '' })).toEqual({ error: 'must be a non-empty string' });
+    expect(run(text(), { field: 42 })).toEqual({ error: 'must be a non-empty string' });
+  });
+
+  test('keyName takes short labels only', () => {
+    expect(run(keyName(), { field: 'pricing-service.v2' })).toEqual({ value: 'pricing-service.v2' });
+    const message = 'must be 1-64 letters, digits, dots, dashes or underscores';
+    expect(run(keyName(), {})).toEqual({ error: message });
+    expect(run(keyName(), { field: 'a b' })).toEqual({ error: message });
+    expect(run(keyName(), { field: 'x'.repeat(65) })).toEqual({ error: message });
+  });
+
+  test('eventId takes SSE ids as <blockNumber>-<logIndex>', () => {
+    expect(run(eventId(), { field: '105-2' })).toEqual({ value: '105-2' });
+    expect(run(eventId(), { field: '' })).toEqual({ value: undefined });
+    expect(run(eventId(), { field: '105' })).toEqual({ error: 'must be an event id (<blockNumber>-<logIndex>)' });
+  });
+
+  test('distinct and exclusive report the second field', () => {
+    expect(distinct('fromToken', 'toToken')({ fromToken: WETH, toToken: WETH }))
+      .toEqual([{ field: 'toToken', message: 'must differ from fromToken' }]);
+    expect(distinct('fromToken', 'toToken')({ fromToken: WETH, toToken: CHECKSUMMED })).toEqual([]);
+
+    const check = exclusive('minAmountOut', 'slippageBps');
+    expect(check({}, { minAmountOutRaw: '1', slippageBps: '50' }))
+      .toEqual([{ field: 'slippageBps', message: 'cannot be combined with minAmountOut' }]);
+    expect(check({}, { slippageBps: '50' })).toEqual([]);
+  });
+
+  test('validate normalizes values and collects every field error into one 400', () => {
+    const middleware = validate({
+      query: { token: address(), limit: integer({ min: 1, max: 100 }) },
+      checks: [(values) => (values.limit === undefined ? [{ field: 'limit', message: 'is checked across fields' }] : [])]
+    });
+
+    const req = { query: { token: CHECKSUMMED.toLowerCase(), limit: '5' } };
+    const next = jest.fn();
+    middleware(req, {}, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.query).toEqual({ token: CHECKSUMMED, limit: 5 });
+
+    const failed = jest.fn();
+    middleware({ query: { token: 'nope', limit: '0' } }, {}, failed);
+    const [error] = failed.mock.calls[0];
+    expect(error).toMatchObject({ status: 400, code: 'VALIDATION_FAILED' });
+    expect(error.details.fields).toEqual([
+      { field: 'token', message: 'must be a valid address' },
+      { field: 'limit', message: 'must be between 1 and 100' },
+      { field: 'limit', message: 'is checked across fields' }
+    ]);
+  });
+});
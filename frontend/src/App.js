@@ -1,25 +1,53 @@
 import React, { useState } from 'react';
 import { ethers } from 'ethers';
 import { Container, Typography, TextField, Button, Box } from '@mui/material';
-import axios from 'axios';
+import { buildSwap } from './api';
 
 function App() {
   const [fromToken, setFromToken] = useState('');
   const [toToken, setToToken] = useState('');
   const [amount, setAmount] = useState('');
+  const [slippageBps, setSlippageBps] = useState('');
+  const [signer, setSigner] = useState(null);
   const [swapResult, setSwapResult] = useState(null);
 
+  // Errors from the API carry { error, code, details }
+  const describeError = (error) => (error.response ? error.response.data : { error: error.shortMessage || error.message });
+
+  const handleConnect = async () => {
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      setSigner(await provider.getSigner());
+    } catch (error) {
+      console.error('Wallet error:', error);
+      setSwapResult(describeError(error));
+    }
+  };
+
+  // The API builds the transactions; the connected wallet signs and sends them in order
   const handleSwap = async () => {
     try {
-      const response = await axios.post('http://localhost:3000/swap', {
-        fromToken,
-        toToken,
-        amount
-      });
-      setSwapResult(response.data);
+      const userAddress = await signer.getAddress();
+      const { transactions, quotedAmountOut, minAmountOut } = await buildSwap(userAddress, fromToken, toToken, amount, slippageBps);
+      const quote = { quotedAmountOut: quotedAmountOut.formatted, minAmountOut: minAmountOut.formatted };
+      const sent = [];
+      for (const request of transactions) {
+        setSwapResult({ quote, sent, pending: `Confirm the ${request.type} transaction in your wallet` });
+        const tx = await signer.sendTransaction({
+          to: request.to,
+          data: request.data,
+          value: request.value,
+          gasLimit: request.gasLimit
+        });
+        // The swap can only go through once the approval is mined
+        const receipt = await tx.wait();
+        sent.push({ type: request.type, hash: tx.hash, status: receipt.status === 1 ? 'mined' : 'reverted' });
+        if (receipt.status !== 1) break;
+      }
+      setSwapResult({ quote, sent });
     } catch (error) {
       console.error('Swap error:', error);
-      setSwapResult({ error: error.message });
+      setSwapResult(describeError(error));
     }
   };
 
@@ -28,6 +56,15 @@ function App() {
       <Typography variant="h4" component="h1" gutterBottom>
         ERC-20 Token Swap
       </Typography>
+      <Box mb={2}>
+        {signer ? (
+          <Typography>Connected as {signer.address}</Typography>
+        ) : (
+          <Button variant="outlined" onClick={handleConnect} disabled={!window.ethereum}>
+            Connect wallet
+          </Button>
+        )}
+      </Box>
       <Box component="form" noValidate autoComplete="off">
         <TextField
           fullWidth
@@ -51,7 +88,15 @@ function App() {
           onChange={(e) => setAmount(e.target.value)}
           margin="normal"
         />
-        <Button variant="contained" color="primary" onClick={handleSwap}>
+        <TextField
+          fullWidth
+          label="Slippage (bps, default 50)"
+          type="number"
+          value={slippageBps}
+          onChange={(e) => setSlippageBps(e.target.value)}
+          margin="normal"
+        />
+        <Button variant="contained" color="primary" onClick={handleSwap} disabled={!signer}>
           Swap Tokens
         </Button>
       </Box>
@@ -65,4 +110,4 @@ function App() {
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
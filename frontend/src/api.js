@@ -2,12 +2,64 @@ import axios from 'axios';
 
 const API_URL = 'http://localhost:3000';
 
-export const swapTokens = async (fromToken, toToken, amount) => {
-  const response = await axios.post(`${API_URL}/swap`, { fromToken, toToken, amount });
+export const getSiweNonce = async () => {
+  const response = await axios.get(`${API_URL}/auth/nonce`);
   return response.data;
 };
 
-export const getSwapRate = async (fromToken, toToken) => {
-  const response = await axios.get(`${API_URL}/swap-rate`, { params: { fromToken, toToken } });
+export const verifySiwe = async (message, signature) => {
+  const response = await axios.post(`${API_URL}/auth/verify`, { message, signature });
   return response.data;
-};
\ No newline at end of file
+};
+
+// Sign in with an ethers signer (e.g. from window.ethereum) and return the session
+export const signIn = async (signer) => {
+  const { nonce, domain } = await getSiweNonce();
+  const address = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const message = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to the Swap API',
+    '',
+    `URI: ${window.location.origin}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join('\n');
+  return verifySiwe(message, await signer.signMessage(message));
+};
+
+// Build the unsigned approve (if needed) and swap transactions for the user's own wallet;
+// slippageBps is optional (the backend defaults to 50)
+export const buildSwap = async (userAddress, fromToken, toToken, amount, slippageBps) => {
+  const body = { userAddress, fromToken, toToken, amount, ...(slippageBps ? { slippageBps: Number(slippageBps) } : {}) };
+  const response = await axios.post(`${API_URL}/swap/build`, body);
+  return response.data;
+};
+
+// Queue a swap signed by the backend wallet; needs an operator session
+export const swapTokens = async (fromToken, toToken, amount, slippageBps, sessionToken) => {
+  const body = { fromToken, toToken, amount, ...(slippageBps ? { slippageBps: Number(slippageBps) } : {}) };
+  const response = await axios.post(`${API_URL}/swap`, body, {
+    headers: { Authorization: `Bearer ${sessionToken}` }
+  });
+  return response.data;
+};
+
+export const getSwapJob = async (jobId) => {
+  const response = await axios.get(`${API_URL}/swaps/${jobId}`);
+  return response.data;
+};
+
+export const getQuote = async (fromToken, toToken, amountIn) => {
+  const response = await axios.get(`${API_URL}/quote`, { params: { fromToken, toToken, amountIn } });
+  return response.data;
+};
+
+export const getTokens = async () => {
+  const response = await axios.get(`${API_URL}/tokens`);
+  return response.data.tokens;
+};